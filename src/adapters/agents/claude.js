@@ -1,7 +1,9 @@
-import axios from 'axios';
 import logger from '../../core/logger.js';
 import config from '../../config/index.js';
 import creditTimerKeeper, { KEEPALIVE_MESSAGE } from '../../core/scheduler.js';
+import { parseSSE } from '../../core/sse.js';
+import { postWithRetry, toAgentError } from '../../core/httpRetry.js';
+import toolRegistry from '../../core/toolRegistry.js';
 
 /**
  * Claude AI Agent Adapter
@@ -20,55 +22,246 @@ class ClaudeAdapter {
    */
   async sendMessage(message, context = {}) {
     try {
-      if (!this.apiKey) {
-        throw new Error('Claude API key not configured');
-      }
-
-      // Check if this is a keepalive message
-      const isKeepalive = message === KEEPALIVE_MESSAGE;
+      const { body, model } = this.prepareRequest(message, context);
 
-      if (!isKeepalive) {
-        // Pause timer keeper when real message is sent
-        creditTimerKeeper.pauseAfterRealMessage();
-      }
+      const { text, usage } = await this.runConversation(body, context, async (requestBody) => {
+        const response = await postWithRetry(this.apiUrl, requestBody, {
+          headers: this.getHeaders(),
+          label: 'Claude',
+          signal: context.signal,
+        });
 
-      logger.debug('Sending message to Claude:', { message, model: this.model, isKeepalive });
-
-      const response = await axios.post(
-        this.apiUrl,
-        {
-          model: this.model,
-          max_tokens: context.maxTokens || 4096,
-          messages: [
-            {
-              role: 'user',
-              content: message,
-            },
-          ],
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': this.apiKey,
-            'anthropic-version': this.apiVersion,
+        return {
+          content: response.data.content,
+          stopReason: response.data.stop_reason,
+          usage: {
+            inputTokens: response.data.usage?.input_tokens || 0,
+            outputTokens: response.data.usage?.output_tokens || 0,
           },
-        }
-      );
+        };
+      });
 
-      const reply = response.data.content[0].text;
       logger.debug('Received response from Claude');
 
       return {
-        text: reply,
-        model: this.model,
+        text,
+        model,
         agent: 'claude',
+        usage,
       };
     } catch (error) {
       logger.error('Error communicating with Claude:', error.response?.data || error.message);
-      throw new Error(`Claude API error: ${error.response?.data?.error?.message || error.message}`);
+      throw toAgentError(error, 'Claude');
+    }
+  }
+
+  /**
+   * Stream a response from Claude
+   * onText(delta) is called for each text fragment as it arrives
+   */
+  async streamMessage(message, context = {}, onText = () => {}) {
+    try {
+      const { body, model } = this.prepareRequest(message, context);
+
+      // Separate the text of consecutive tool rounds the same way runConversation joins them
+      let streamed = false;
+      const { text, usage } = await this.runConversation(body, context, (requestBody) => {
+        let firstDelta = true;
+        return this.streamRequest(requestBody, context.signal, (delta) => {
+          if (firstDelta && streamed) {
+            onText('\n\n');
+          }
+          firstDelta = false;
+          streamed = true;
+          onText(delta);
+        });
+      });
+
+      logger.debug('Received streamed response from Claude');
+
+      return {
+        text,
+        model,
+        agent: 'claude',
+        usage,
+      };
+    } catch (error) {
+      logger.error('Error streaming from Claude:', error.response?.status || error.message);
+      throw toAgentError(error, 'Claude');
     }
   }
 
+  /**
+   * Make one streaming Messages API request (aborted when signal fires)
+   * Returns { content, stopReason, usage } rebuilt from the SSE events
+   */
+  async streamRequest(body, signal, onText) {
+    const response = await postWithRetry(this.apiUrl, { ...body, stream: true }, {
+      headers: this.getHeaders(),
+      label: 'Claude',
+      signal,
+      responseType: 'stream',
+    });
+
+    const content = [];
+    const toolInputs = [];
+    const usage = { inputTokens: 0, outputTokens: 0 };
+    let stopReason = null;
+
+    for await (const { data } of parseSSE(response.data)) {
+      const event = JSON.parse(data);
+
+      if (event.type === 'message_start') {
+        usage.inputTokens = event.message?.usage?.input_tokens || 0;
+        usage.outputTokens = event.message?.usage?.output_tokens || 0;
+      } else if (event.type === 'message_delta') {
+        stopReason = event.delta?.stop_reason || stopReason;
+        usage.outputTokens = event.usage?.output_tokens || usage.outputTokens;
+      } else if (event.type === 'content_block_start') {
+        content[event.index] = { ...event.content_block };
+        toolInputs[event.index] = '';
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        content[event.index].text += event.delta.text;
+        onText(event.delta.text);
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta') {
+        toolInputs[event.index] += event.delta.partial_json;
+      } else if (event.type === 'content_block_stop' && content[event.index]?.type === 'tool_use') {
+        content[event.index].input = toolInputs[event.index] ? JSON.parse(toolInputs[event.index]) : {};
+      } else if (event.type === 'error') {
+        throw new Error(event.error?.message || 'Stream error');
+      }
+    }
+
+    return { content: content.filter(Boolean), stopReason, usage };
+  }
+
+  /**
+   * Run a request and any tool calls Claude makes until it gives a final answer
+   * request(body) performs one API call and returns { content, stopReason, usage }
+   * Returns { text, usage } with the text of every round and the summed token usage
+   */
+  async runConversation(body, context, request) {
+    const usage = { inputTokens: 0, outputTokens: 0 };
+    const parts = [];
+
+    for (let round = 1; ; round++) {
+      const result = await request(body);
+      usage.inputTokens += result.usage.inputTokens;
+      usage.outputTokens += result.usage.outputTokens;
+
+      const text = result.content.filter(block => block.type === 'text').map(block => block.text).join('');
+      if (text) {
+        parts.push(text);
+      }
+
+      if (result.stopReason !== 'tool_use') {
+        break;
+      }
+
+      await this.runTools(body, result.content, context);
+
+      // Out of tool rounds: make Claude answer with what it has
+      if (round >= config.agents.claude.tools.maxRounds) {
+        logger.warn(`Claude reached the tool round limit (${round}), requesting a final answer`);
+        body.tool_choice = { type: 'none' };
+      }
+    }
+
+    return { text: parts.join('\n\n'), usage };
+  }
+
+  /**
+   * Execute the tool_use blocks of a response and append the exchange to the request
+   */
+  async runTools(body, content, context) {
+    const results = [];
+
+    for (const block of content.filter(b => b.type === 'tool_use')) {
+      const { content: output, isError } = await toolRegistry.execute(block.name, block.input, context);
+      results.push({
+        type: 'tool_result',
+        tool_use_id: block.id,
+        content: output,
+        ...(isError ? { is_error: true } : {}),
+      });
+    }
+
+    body.messages.push({ role: 'assistant', content });
+    body.messages.push({ role: 'user', content: results });
+  }
+
+  /**
+   * Build the Messages API request body for a message and its context
+   */
+  prepareRequest(message, context = {}) {
+    if (!this.apiKey) {
+      throw new Error('Claude API key not configured');
+    }
+
+    // Check if this is a keepalive message
+    const isKeepalive = message === KEEPALIVE_MESSAGE;
+
+    if (!isKeepalive) {
+      // Pause timer keeper when real message is sent
+      creditTimerKeeper.pauseAfterRealMessage();
+    }
+
+    const model = context.model || this.model;
+
+    logger.debug('Sending message to Claude:', { message, model, isKeepalive });
+
+    const body = {
+      model,
+      max_tokens: context.maxTokens || 4096,
+      messages: [
+        ...(context.history || []),
+        {
+          role: 'user',
+          content: this.buildContent(message, context.images),
+        },
+      ],
+    };
+
+    if (context.systemPrompt) {
+      body.system = context.systemPrompt;
+    }
+
+    // Offer Botline's tools (never for keepalive pings)
+    if (config.agents.claude.tools.enabled && !isKeepalive && context.tools !== false) {
+      body.tools = toolRegistry.getDefinitions();
+    }
+
+    return { body, model };
+  }
+
+  /**
+   * Build the user message content, adding image blocks before the text when images are attached
+   */
+  buildContent(message, images = []) {
+    if (!images?.length) {
+      return message;
+    }
+
+    return [
+      ...images.map(image => ({
+        type: 'image',
+        source: { type: 'base64', media_type: image.mediaType, data: image.data },
+      })),
+      { type: 'text', text: message },
+    ];
+  }
+
+  /**
+   * Get the API request headers
+   */
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': this.apiKey,
+      'anthropic-version': this.apiVersion,
+    };
+  }
+
   /**
    * Check if the adapter is properly configured
    */
@@ -0,0 +1,169 @@
+import logger from '../../core/logger.js';
+import { parseSSE } from '../../core/sse.js';
+import { postWithRetry, toAgentError } from '../../core/httpRetry.js';
+
+/**
+ * OpenAI-compatible AI Agent Adapter
+ * Speaks the chat completions API against any base URL (Ollama, llama.cpp server, vLLM, LM Studio, ...)
+ */
+class OpenAICompatibleAdapter {
+  /**
+   * name is the agent name used in Botline; options = { baseUrl, model, apiKey, displayName }
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.displayName = options.displayName || name;
+    this.apiKey = options.apiKey || null;
+    this.model = options.model;
+    this.baseUrl = options.baseUrl;
+    this.apiUrl = options.baseUrl ? `${options.baseUrl.replace(/\/+$/, '')}/chat/completions` : null;
+  }
+
+  /**
+   * Send a message and get a response
+   */
+  async sendMessage(message, context = {}) {
+    try {
+      const { body, model } = this.prepareRequest(message, context);
+
+      const response = await postWithRetry(this.apiUrl, body, {
+        headers: this.getHeaders(),
+        label: this.displayName,
+        signal: context.signal,
+      });
+
+      const reply = response.data.choices[0].message.content;
+      logger.debug(`Received response from ${this.displayName}`);
+
+      return {
+        text: reply,
+        model,
+        agent: this.name,
+        usage: {
+          inputTokens: response.data.usage?.prompt_tokens || 0,
+          outputTokens: response.data.usage?.completion_tokens || 0,
+        },
+      };
+    } catch (error) {
+      logger.error(`Error communicating with ${this.displayName}:`, error.response?.data || error.message);
+      throw toAgentError(error, this.displayName);
+    }
+  }
+
+  /**
+   * Stream a response (OpenAI-style SSE)
+   * onText(delta) is called for each text fragment as it arrives
+   */
+  async streamMessage(message, context = {}, onText = () => {}) {
+    try {
+      const { body, model } = this.prepareRequest(message, context);
+
+      const response = await postWithRetry(this.apiUrl, { ...body, stream: true, stream_options: { include_usage: true } }, {
+        headers: this.getHeaders(),
+        label: this.displayName,
+        signal: context.signal,
+        responseType: 'stream',
+      });
+
+      let reply = '';
+      const usage = { inputTokens: 0, outputTokens: 0 };
+      for await (const { data } of parseSSE(response.data)) {
+        if (data === '[DONE]') {
+          break;
+        }
+
+        const chunk = JSON.parse(data);
+        if (chunk.error) {
+          throw new Error(chunk.error.message || 'Stream error');
+        }
+
+        // The final chunk carries token usage for the whole request
+        if (chunk.usage) {
+          usage.inputTokens = chunk.usage.prompt_tokens || 0;
+          usage.outputTokens = chunk.usage.completion_tokens || 0;
+        }
+
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          reply += delta;
+          onText(delta);
+        }
+      }
+
+      logger.debug(`Received streamed response from ${this.displayName}`);
+
+      return {
+        text: reply,
+        model,
+        agent: this.name,
+        usage,
+      };
+    } catch (error) {
+      logger.error(`Error streaming from ${this.displayName}:`, error.response?.status || error.message);
+      throw toAgentError(error, this.displayName);
+    }
+  }
+
+  /**
+   * Build the chat completions request body for a message and its context
+   */
+  prepareRequest(message, context = {}) {
+    if (!this.isConfigured()) {
+      throw new Error(`${this.displayName} is not configured`);
+    }
+
+    const model = context.model || this.model;
+
+    logger.debug(`Sending message to ${this.displayName}:`, { message, model });
+
+    const body = {
+      model,
+      messages: [
+        ...(context.systemPrompt ? [{ role: 'system', content: context.systemPrompt }] : []),
+        ...(context.history || []),
+        {
+          role: 'user',
+          content: this.buildContent(message, context.images),
+        },
+      ],
+    };
+
+    return { body, model };
+  }
+
+  /**
+   * Build the user message content, adding image_url parts (as data URLs) when images are attached
+   */
+  buildContent(message, images = []) {
+    if (!images?.length) {
+      return message;
+    }
+
+    return [
+      { type: 'text', text: message },
+      ...images.map(image => ({
+        type: 'image_url',
+        image_url: { url: `data:${image.mediaType};base64,${image.data}` },
+      })),
+    ];
+  }
+
+  /**
+   * Get the API request headers (local servers usually need no API key)
+   */
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}),
+    };
+  }
+
+  /**
+   * Check if the adapter is properly configured
+   */
+  isConfigured() {
+    return !!(this.apiUrl && this.model);
+  }
+}
+
+export default OpenAICompatibleAdapter;
@@ -1,62 +1,40 @@
-import axios from 'axios';
-import logger from '../../core/logger.js';
 import config from '../../config/index.js';
+import OpenAICompatibleAdapter from './openaiCompatible.js';
 
 /**
  * OpenRouter AI Agent Adapter
  * Handles communication with OpenRouter API (supports multiple AI models)
  */
-class OpenRouterAdapter {
+class OpenRouterAdapter extends OpenAICompatibleAdapter {
   constructor() {
-    this.apiKey = config.agents.openrouter.apiKey;
-    this.model = config.agents.openrouter.model;
-    this.apiUrl = 'https://openrouter.ai/api/v1/chat/completions';
+    super('openrouter', {
+      displayName: 'OpenRouter',
+      baseUrl: 'https://openrouter.ai/api/v1',
+      apiKey: config.agents.openrouter.apiKey,
+      model: config.agents.openrouter.model,
+    });
   }
 
   /**
-   * Send a message to OpenRouter and get a response
+   * Build the chat completions request body for a message and its context
    */
-  async sendMessage(message, context = {}) {
-    try {
-      if (!this.apiKey) {
-        throw new Error('OpenRouter API key not configured');
-      }
-
-      logger.debug('Sending message to OpenRouter:', { message, model: this.model });
-
-      const response = await axios.post(
-        this.apiUrl,
-        {
-          model: this.model,
-          messages: [
-            {
-              role: 'user',
-              content: message,
-            },
-          ],
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.apiKey}`,
-            'HTTP-Referer': 'https://github.com/dazrave/Botline',
-            'X-Title': 'Botline',
-          },
-        }
-      );
+  prepareRequest(message, context = {}) {
+    if (!this.apiKey) {
+      throw new Error('OpenRouter API key not configured');
+    }
 
-      const reply = response.data.choices[0].message.content;
-      logger.debug('Received response from OpenRouter');
+    return super.prepareRequest(message, context);
+  }
 
-      return {
-        text: reply,
-        model: this.model,
-        agent: 'openrouter',
-      };
-    } catch (error) {
-      logger.error('Error communicating with OpenRouter:', error.response?.data || error.message);
-      throw new Error(`OpenRouter API error: ${error.response?.data?.error?.message || error.message}`);
-    }
+  /**
+   * Get the API request headers
+   */
+  getHeaders() {
+    return {
+      ...super.getHeaders(),
+      'HTTP-Referer': 'https://github.com/dazrave/Botline',
+      'X-Title': 'Botline',
+    };
   }
 
   /**
@@ -1,12 +1,22 @@
+import crypto from 'crypto';
 import { WebClient } from '@slack/web-api';
 import { SocketModeClient } from '@slack/socket-mode';
 import logger from '../../core/logger.js';
 import config from '../../config/index.js';
 import messageRouter from '../../core/router.js';
+import { splitMessage, truncateForPreview, shouldSendAsFile, toMarkdownFile, FILE_FALLBACK_NOTE } from '../../core/messageSplitter.js';
+import { toSlackMrkdwn, isSlackFormatError } from '../../core/formatter.js';
+import { isSupportedImage, downloadImage, downloadDocument, settleDownloads, getDefaultPrompt } from '../../core/attachments.js';
+
+// Slack truncates long message text, so keep each post comfortably below its limit
+const SLACK_MESSAGE_LIMIT = 3900;
+
+// Events API requests with an older timestamp are rejected to prevent replays
+const MAX_REQUEST_AGE_SECONDS = 5 * 60;
 
 /**
  * Slack Platform Adapter
- * Handles communication with Slack using Socket Mode
+ * Handles communication with Slack using Socket Mode or the HTTP Events API
  */
 class SlackAdapter {
   constructor() {
@@ -17,24 +27,37 @@ class SlackAdapter {
 
   /**
    * Initialize the Slack adapter
+   * app is Botline's Express app, used to serve the Events API request URL in http mode
    */
-  async initialize() {
+  async initialize(app = null) {
     try {
-      if (!config.slack.botToken || !config.slack.appToken) {
-        logger.warn('Slack credentials not configured. Slack adapter will not start.');
+      const { botToken, appToken, signingSecret, mode } = config.slack;
+      if (!['socket', 'http'].includes(mode)) {
+        logger.warn(`Unknown SLACK_MODE ${mode} (expected socket or http). Slack adapter will not start.`);
+        return false;
+      }
+      if (!botToken || (mode === 'socket' && !appToken) || (mode === 'http' && (!signingSecret || !app))) {
+        logger.warn(`Slack credentials for ${mode} mode not configured. Slack adapter will not start.`);
         return false;
       }
 
-      this.webClient = new WebClient(config.slack.botToken);
-      this.socketClient = new SocketModeClient({
-        appToken: config.slack.appToken,
-      });
+      this.webClient = new WebClient(botToken);
 
       // Get bot user ID
       const authResult = await this.webClient.auth.test();
       this.botUserId = authResult.user_id;
       logger.info(`Slack bot user ID: ${this.botUserId}`);
 
+      if (mode === 'http') {
+        app.post(config.slack.eventsPath, (req, res) => this.handleEventRequest(req, res));
+        logger.info(`Slack adapter initialized with Events API at ${config.slack.eventsPath}`);
+        return true;
+      }
+
+      this.socketClient = new SocketModeClient({
+        appToken,
+      });
+
       // Set up event handlers
       this.setupEventHandlers();
 
@@ -55,37 +78,95 @@ class SlackAdapter {
   setupEventHandlers() {
     this.socketClient.on('slack_event', async ({ event, body, ack }) => {
       await ack();
-
-      try {
-        // Skip events that don't have an event object (e.g., hello, goodbye, system events)
-        if (!event) {
-          logger.debug('Received Slack event without event object (likely system event)');
-          return;
-        }
-
-        // Handle app_mention events
-        if (event.type === 'app_mention') {
-          await this.handleMention(event);
-        }
-        // Handle direct messages
-        else if (event.type === 'message' && event.channel_type === 'im' && !event.bot_id) {
-          await this.handleDirectMessage(event);
-        }
-      } catch (error) {
-        logger.error('Error handling Slack event:', error);
-      }
+      await this.dispatchEvent(event);
     });
 
     logger.debug('Slack event handlers set up');
   }
 
+  /**
+   * Handle an Events API request
+   * Requests are verified with the signing secret; events are acknowledged at once and then dispatched
+   */
+  async handleEventRequest(req, res) {
+    if (!this.verifySignature(req)) {
+      logger.warn(`Rejected Slack Events API request from ${req.ip}`);
+      res.sendStatus(401);
+      return;
+    }
+
+    const body = req.body || {};
+
+    // Slack checks the request URL with a challenge when it is saved in the app settings
+    if (body.type === 'url_verification') {
+      res.json({ challenge: body.challenge });
+      return;
+    }
+
+    res.sendStatus(200);
+
+    if (body.type === 'event_callback') {
+      await this.dispatchEvent(body.event);
+    }
+  }
+
+  /**
+   * Verify the X-Slack-Signature of an Events API request (HMAC-SHA256 of the raw body)
+   */
+  verifySignature(req) {
+    const timestamp = req.get('X-Slack-Request-Timestamp');
+    const signature = req.get('X-Slack-Signature');
+    if (!timestamp || !signature || !req.rawBody) {
+      return false;
+    }
+
+    if (Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp)) > MAX_REQUEST_AGE_SECONDS) {
+      logger.warn('Slack request timestamp is too old');
+      return false;
+    }
+
+    const expected = Buffer.from(`v0=${crypto
+      .createHmac('sha256', config.slack.signingSecret)
+      .update(`v0:${timestamp}:${req.rawBody}`)
+      .digest('hex')}`);
+    const received = Buffer.from(signature);
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Dispatch a Slack event (from Socket Mode or the Events API) to its handler
+   */
+  async dispatchEvent(event) {
+    try {
+      // Skip events that don't have an event object (e.g., hello, goodbye, system events)
+      if (!event) {
+        logger.debug('Received Slack event without event object (likely system event)');
+        return;
+      }
+
+      // Handle app_mention events
+      if (event.type === 'app_mention') {
+        await this.handleMention(event);
+      }
+      // Handle direct messages
+      else if (event.type === 'message' && event.channel_type === 'im' && !event.bot_id) {
+        await this.handleDirectMessage(event);
+      }
+    } catch (error) {
+      logger.error('Error handling Slack event:', error);
+    }
+  }
+
   /**
    * Handle @bot mentions
    */
   async handleMention(event) {
     try {
+      const { images, documents, skipped } = await this.downloadAttachments(event);
+
       // Remove the bot mention from the message
-      const message = event.text.replace(/<@[A-Z0-9]+>/g, '').trim();
+      const message = event.text.replace(/<@[A-Z0-9]+>/g, '').trim() || getDefaultPrompt(images, documents, skipped);
 
       logger.info(`Received Slack mention from user ${event.user}: ${message}`);
 
@@ -96,10 +177,20 @@ class SlackAdapter {
         threadTs: event.thread_ts || event.ts,
       };
 
+      if (images.length > 0) {
+        context.images = images;
+      }
+      if (documents.length > 0) {
+        context.documents = documents;
+      }
+      if (skipped.length > 0) {
+        context.skippedAttachments = skipped;
+      }
+
       await messageRouter.routeMessage('slack', message, context);
     } catch (error) {
       logger.error('Error handling Slack mention:', error);
-      await this.sendErrorMessage(event.channel, event.ts);
+      await this.sendErrorMessage(event.channel, event.ts, error);
     }
   }
 
@@ -108,7 +199,8 @@ class SlackAdapter {
    */
   async handleDirectMessage(event) {
     try {
-      const message = event.text;
+      const { images, documents, skipped } = await this.downloadAttachments(event);
+      const message = event.text || getDefaultPrompt(images, documents, skipped);
 
       logger.info(`Received Slack DM from user ${event.user}: ${message}`);
 
@@ -119,23 +211,73 @@ class SlackAdapter {
         threadTs: event.thread_ts || event.ts,
       };
 
+      if (images.length > 0) {
+        context.images = images;
+      }
+      if (documents.length > 0) {
+        context.documents = documents;
+      }
+      if (skipped.length > 0) {
+        context.skippedAttachments = skipped;
+      }
+
       await messageRouter.routeMessage('slack', message, context);
     } catch (error) {
       logger.error('Error handling Slack DM:', error);
-      await this.sendErrorMessage(event.channel);
+      await this.sendErrorMessage(event.channel, null, error);
     }
   }
 
+  /**
+   * Download the files shared with an event (requires the files:read scope)
+   * Images are forwarded as-is and other files have their text extracted; files that can't be read are skipped
+   * Returns { images: [{ mediaType, data }], documents: [{ filename, text, truncated, totalChars }], skipped: [note] }
+   */
+  async downloadAttachments(event) {
+    const files = event.files || [];
+    const headers = { Authorization: `Bearer ${config.slack.botToken}` };
+
+    const images = await settleDownloads(files.filter(file => isSupportedImage(file.mimetype)).map(file => ({
+      name: file.name,
+      download: () => {
+        logger.debug(`Downloading Slack image ${file.id}`);
+        return downloadImage(file.url_private_download || file.url_private, file.mimetype, headers);
+      },
+    })));
+
+    const documents = await settleDownloads(files.filter(file => !isSupportedImage(file.mimetype)).map(file => ({
+      name: file.name,
+      download: () => {
+        logger.debug(`Downloading Slack document ${file.name}`);
+        return downloadDocument(file.url_private_download || file.url_private, file.name, file.mimetype, headers);
+      },
+    })));
+
+    return {
+      images: images.results,
+      documents: documents.results,
+      skipped: [...images.skipped, ...documents.skipped],
+    };
+  }
+
   /**
    * Send a message to Slack
    */
   async sendMessage(response, context) {
     try {
-      await this.webClient.chat.postMessage({
-        channel: context.channel,
-        text: response.text,
-        thread_ts: context.threadTs,
-      });
+      if (response.file) {
+        await this.sendFile(response.file, context, response.text);
+        return;
+      }
+
+      if (shouldSendAsFile(response.text)) {
+        await this.sendFile(toMarkdownFile(response.text), context, FILE_FALLBACK_NOTE);
+        return;
+      }
+
+      for (const part of splitMessage(response.text, SLACK_MESSAGE_LIMIT)) {
+        await this.postText(part, context);
+      }
 
       logger.debug('Message sent to Slack');
     } catch (error) {
@@ -145,13 +287,112 @@ class SlackAdapter {
   }
 
   /**
-   * Send an error message
+   * Post Markdown text as Slack mrkdwn, retrying as plain text if Slack rejects the formatting
+   */
+  async postText(text, context) {
+    const message = { channel: context.channel, thread_ts: context.threadTs };
+
+    try {
+      return await this.webClient.chat.postMessage({ ...message, text: toSlackMrkdwn(text) });
+    } catch (error) {
+      if (!isSlackFormatError(error)) {
+        throw error;
+      }
+      logger.warn(`Slack rejected formatted message (${error.data.error}), retrying as plain text`);
+      return await this.webClient.chat.postMessage({ ...message, text, mrkdwn: false });
+    }
+  }
+
+  /**
+   * Replace a message's text with Markdown converted to mrkdwn, retrying as plain text on rejection
+   */
+  async updateText(ts, text, context) {
+    const message = { channel: context.channel, ts };
+
+    try {
+      return await this.webClient.chat.update({ ...message, text: toSlackMrkdwn(text) });
+    } catch (error) {
+      if (!isSlackFormatError(error)) {
+        throw error;
+      }
+      logger.warn(`Slack rejected formatted update (${error.data.error}), retrying as plain text`);
+      return await this.webClient.chat.update({ ...message, text });
+    }
+  }
+
+  /**
+   * Post a placeholder message for a streamed reply
+   * Returns the message timestamp used to edit it
+   */
+  async sendPlaceholder(context) {
+    const result = await this.webClient.chat.postMessage({
+      channel: context.channel,
+      text: '…',
+      thread_ts: context.threadTs,
+    });
+
+    return result.ts;
+  }
+
+  /**
+   * Edit a previously posted message (used for streamed replies)
+   * The final edit splits long replies into follow-up messages or a file
+   */
+  async editMessage(ts, response, context, options = {}) {
+    try {
+      if (!options.final) {
+        await this.updateText(ts, truncateForPreview(response.text, SLACK_MESSAGE_LIMIT), context);
+        return;
+      }
+
+      if (shouldSendAsFile(response.text)) {
+        await this.updateText(ts, FILE_FALLBACK_NOTE, context);
+        await this.sendFile(toMarkdownFile(response.text), context);
+        return;
+      }
+
+      const [first, ...rest] = splitMessage(response.text, SLACK_MESSAGE_LIMIT);
+      await this.updateText(ts, first, context);
+
+      for (const part of rest) {
+        await this.postText(part, context);
+      }
+    } catch (error) {
+      logger.error('Error updating Slack message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload a file to the conversation's channel/thread
+   * file = { filename, content, mimeType }
+   */
+  async sendFile(file, context, comment = '') {
+    try {
+      await this.webClient.files.uploadV2({
+        channel_id: context.channel,
+        thread_ts: context.threadTs,
+        file: Buffer.from(file.content),
+        filename: file.filename,
+        title: file.filename,
+        initial_comment: comment ? toSlackMrkdwn(comment) : undefined,
+      });
+
+      logger.debug(`File uploaded to Slack: ${file.filename}`);
+    } catch (error) {
+      logger.error('Error uploading file to Slack:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send an error message (user-facing errors show their own text)
    */
-  async sendErrorMessage(channel, threadTs = null) {
+  async sendErrorMessage(channel, threadTs = null, error = null) {
     try {
       await this.webClient.chat.postMessage({
         channel,
-        text: 'Sorry, I encountered an error processing your message. Please try again.',
+        text: error?.userMessage || 'Sorry, I encountered an error processing your message. Please try again.',
         thread_ts: threadTs,
       });
     } catch (error) {
@@ -1,36 +1,53 @@
+import crypto from 'crypto';
 import TelegramBot from 'node-telegram-bot-api';
 import logger from '../../core/logger.js';
 import config from '../../config/index.js';
 import messageRouter from '../../core/router.js';
+import { splitMessage, truncateForPreview, shouldSendAsFile, toMarkdownFile, FILE_FALLBACK_NOTE } from '../../core/messageSplitter.js';
+import { toTelegramHtml, isTelegramParseError } from '../../core/formatter.js';
+import { isSupportedImage, downloadImage, downloadDocument, settleDownloads, getDefaultPrompt } from '../../core/attachments.js';
+
+// Telegram rejects messages longer than 4096 characters
+const TELEGRAM_MESSAGE_LIMIT = 4096;
+
+// Smallest Markdown chunk size tried when re-splitting parts whose HTML is too long
+const MIN_SPLIT_LIMIT = 256;
 
 /**
  * Telegram Platform Adapter
  * Handles communication with Telegram using Bot API
+ * Receives updates through a webhook on Botline's Express app when configured, otherwise by polling
  */
 class TelegramAdapter {
   constructor() {
     this.bot = null;
+    this.mode = null;
+    this.webhookRoute = null;
+    this.webhookSecret = null;
   }
 
   /**
    * Initialize the Telegram adapter
+   * app is Botline's Express app, used to serve the webhook route
+   * Updates only start arriving after start(), once the server is listening
    */
-  async initialize() {
+  async initialize(app = null) {
     try {
       if (!config.telegram.botToken) {
         logger.warn('Telegram bot token not configured. Telegram adapter will not start.');
         return false;
       }
 
-      // Use polling for simplicity (webhook can be used in production)
       this.bot = new TelegramBot(config.telegram.botToken, {
-        polling: true,
+        polling: false,
       });
 
-      // Set up event handlers
+      // Set up event handlers (shared by webhook and polling updates)
       this.setupEventHandlers();
 
-      logger.info('Telegram adapter initialized with polling');
+      if (config.telegram.webhookUrl && app) {
+        this.mountWebhook(app);
+      }
 
       // Get bot info
       const me = await this.bot.getMe();
@@ -50,8 +67,8 @@ class TelegramAdapter {
     // Handle all text messages
     this.bot.on('message', async (msg) => {
       try {
-        // Ignore non-text messages
-        if (!msg.text) {
+        // Ignore messages without text, an image or a document
+        if (!msg.text && !this.getImageFile(msg) && !msg.document) {
           return;
         }
 
@@ -63,19 +80,111 @@ class TelegramAdapter {
         await this.handleMessage(msg);
       } catch (error) {
         logger.error('Error handling Telegram message:', error);
-        await this.sendErrorMessage(msg.chat.id);
+        await this.sendErrorMessage(msg.chat.id, error);
       }
     });
 
     logger.debug('Telegram event handlers set up');
   }
 
+  /**
+   * Start receiving updates (called once Botline's server is listening)
+   * Registers the webhook if its route is mounted, falling back to polling when it can't be registered
+   */
+  async start() {
+    if (!this.webhookRoute || !(await this.registerWebhook())) {
+      await this.startPolling();
+    }
+  }
+
+  /**
+   * Mount the webhook route on the Express app (requests are rejected until the webhook is registered)
+   */
+  mountWebhook(app) {
+    try {
+      this.webhookRoute = new URL(config.telegram.webhookUrl).pathname;
+    } catch {
+      logger.error(`Invalid TELEGRAM_WEBHOOK_URL: ${config.telegram.webhookUrl}`);
+      return;
+    }
+
+    app.post(this.webhookRoute, (req, res) => this.handleWebhook(req, res));
+  }
+
+  /**
+   * Register the webhook with Telegram
+   * Returns false if the webhook can't be registered
+   */
+  async registerWebhook() {
+    const secret = config.telegram.webhookSecret || crypto.randomBytes(32).toString('hex');
+
+    try {
+      await this.bot.setWebHook(config.telegram.webhookUrl, { secret_token: secret });
+    } catch (error) {
+      logger.error('Error registering Telegram webhook, falling back to polling:', error.message);
+      return false;
+    }
+
+    this.webhookSecret = secret;
+    this.mode = 'webhook';
+
+    logger.info(`Telegram adapter receiving updates by webhook at ${this.webhookRoute}`);
+    return true;
+  }
+
+  /**
+   * Start polling for updates
+   */
+  async startPolling() {
+    // A webhook left over from an earlier run would make getUpdates fail
+    await this.bot.deleteWebHook();
+
+    this.bot.startPolling();
+    this.mode = 'polling';
+
+    logger.info('Telegram adapter receiving updates by polling');
+  }
+
+  /**
+   * Handle a webhook request from Telegram
+   * The update is acknowledged straight away and dispatched to the same handlers as polling
+   */
+  handleWebhook(req, res) {
+    if (this.mode !== 'webhook' || !this.isValidSecret(req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+      logger.warn(`Rejected Telegram webhook request from ${req.ip}`);
+      res.sendStatus(401);
+      return;
+    }
+
+    res.sendStatus(200);
+
+    try {
+      this.bot.processUpdate(req.body);
+    } catch (error) {
+      logger.error('Error processing Telegram update:', error);
+    }
+  }
+
+  /**
+   * Check a webhook request's secret token (constant-time comparison)
+   */
+  isValidSecret(token) {
+    if (!token || !this.webhookSecret) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.webhookSecret);
+    const received = Buffer.from(token);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
   /**
    * Handle incoming messages
    */
   async handleMessage(msg) {
     try {
-      const message = msg.text;
+      const { images, documents, skipped } = await this.downloadAttachments(msg);
+      const message = msg.text || msg.caption || getDefaultPrompt(images, documents, skipped);
       const chatId = msg.chat.id;
 
       logger.info(`Received Telegram message from user ${msg.from.id} (${msg.from.username}): ${message}`);
@@ -88,6 +197,16 @@ class TelegramAdapter {
         messageId: msg.message_id,
       };
 
+      if (images.length > 0) {
+        context.images = images;
+      }
+      if (documents.length > 0) {
+        context.documents = documents;
+      }
+      if (skipped.length > 0) {
+        context.skippedAttachments = skipped;
+      }
+
       await messageRouter.routeMessage('telegram', message, context);
     } catch (error) {
       logger.error('Error handling Telegram message:', error);
@@ -95,15 +214,72 @@ class TelegramAdapter {
     }
   }
 
+  /**
+   * Get the image attached to a message (a photo or an image sent as a file)
+   * Returns { fileId, mediaType } or null
+   */
+  getImageFile(msg) {
+    if (msg.photo?.length) {
+      // Telegram sends several sizes of a photo; the last is the largest (always JPEG)
+      return { fileId: msg.photo[msg.photo.length - 1].file_id, mediaType: 'image/jpeg' };
+    }
+
+    if (msg.document && isSupportedImage(msg.document.mime_type)) {
+      return { fileId: msg.document.file_id, mediaType: msg.document.mime_type };
+    }
+
+    return null;
+  }
+
+  /**
+   * Download a message's image and document (anything sent as a file that is not an image) via getFile
+   * Document text is extracted; an attachment that can't be read is skipped
+   * Returns { images: [{ mediaType, data }], documents: [{ filename, text, truncated, totalChars }], skipped: [note] }
+   */
+  async downloadAttachments(msg) {
+    const image = this.getImageFile(msg);
+    const images = await settleDownloads(image ? [{
+      name: msg.document?.file_name || 'image',
+      download: async () => {
+        logger.debug(`Downloading Telegram image ${image.fileId}`);
+        return downloadImage(await this.bot.getFileLink(image.fileId), image.mediaType);
+      },
+    }] : []);
+
+    const hasDocument = msg.document && !isSupportedImage(msg.document.mime_type);
+    const documents = await settleDownloads(hasDocument ? [{
+      name: msg.document.file_name || 'document',
+      download: async () => {
+        logger.debug(`Downloading Telegram document ${msg.document.file_name}`);
+        return downloadDocument(await this.bot.getFileLink(msg.document.file_id), msg.document.file_name || 'document', msg.document.mime_type);
+      },
+    }] : []);
+
+    return {
+      images: images.results,
+      documents: documents.results,
+      skipped: [...images.skipped, ...documents.skipped],
+    };
+  }
+
   /**
    * Send a message to Telegram
    */
   async sendMessage(response, context) {
     try {
-      await this.bot.sendMessage(context.chatId, response.text, {
-        parse_mode: 'Markdown',
-        reply_to_message_id: context.messageId,
-      });
+      if (response.file) {
+        await this.sendFile(response.file, context, response.text);
+        return;
+      }
+
+      if (shouldSendAsFile(response.text)) {
+        await this.sendFile(toMarkdownFile(response.text), context, FILE_FALLBACK_NOTE);
+        return;
+      }
+
+      for (const part of this.splitForTelegram(response.text)) {
+        await this.sendText(part, context);
+      }
 
       logger.debug('Message sent to Telegram');
     } catch (error) {
@@ -113,13 +289,129 @@ class TelegramAdapter {
   }
 
   /**
-   * Send an error message
+   * Split Markdown into parts that fit in a Telegram message once converted to HTML
+   * Escaping and tags make the HTML longer than the Markdown, so parts that grow too long are split again
    */
-  async sendErrorMessage(chatId) {
+  splitForTelegram(text, limit = TELEGRAM_MESSAGE_LIMIT) {
+    return splitMessage(text, limit).flatMap((part) => {
+      const htmlLength = toTelegramHtml(part)?.length || 0;
+      if (htmlLength <= TELEGRAM_MESSAGE_LIMIT) {
+        return [part];
+      }
+
+      // Aim below the limit in proportion to how much this part grew
+      const smallerLimit = Math.floor(part.length * (TELEGRAM_MESSAGE_LIMIT / htmlLength) * 0.9);
+      if (smallerLimit < MIN_SPLIT_LIMIT) {
+        return [part];
+      }
+      return this.splitForTelegram(part, smallerLimit);
+    });
+  }
+
+  /**
+   * Send Markdown text as Telegram HTML, retrying as plain text if Telegram rejects the formatting
+   */
+  async sendText(text, context) {
+    const options = { reply_to_message_id: context.messageId };
+
+    try {
+      return await this.bot.sendMessage(context.chatId, toTelegramHtml(text), { ...options, parse_mode: 'HTML' });
+    } catch (error) {
+      if (!isTelegramParseError(error)) {
+        throw error;
+      }
+      logger.warn('Telegram rejected formatted message, retrying as plain text');
+      return await this.bot.sendMessage(context.chatId, text, options);
+    }
+  }
+
+  /**
+   * Post a placeholder message for a streamed reply
+   * Returns the message ID used to edit it
+   */
+  async sendPlaceholder(context) {
+    const sent = await this.bot.sendMessage(context.chatId, '…', {
+      reply_to_message_id: context.messageId,
+    });
+
+    return sent.message_id;
+  }
+
+  /**
+   * Edit a previously posted message (used for streamed replies)
+   * Intermediate edits are sent as plain text since partial Markdown may not parse
+   * The final edit splits long replies into follow-up messages or a file
+   */
+  async editMessage(messageId, response, context, options = {}) {
+    try {
+      const target = { chat_id: context.chatId, message_id: messageId };
+
+      if (!options.final) {
+        await this.bot.editMessageText(truncateForPreview(response.text, TELEGRAM_MESSAGE_LIMIT), target);
+        return;
+      }
+
+      if (shouldSendAsFile(response.text)) {
+        await this.bot.editMessageText(FILE_FALLBACK_NOTE, target);
+        await this.sendFile(toMarkdownFile(response.text), context);
+        return;
+      }
+
+      const [first, ...rest] = this.splitForTelegram(response.text);
+      try {
+        await this.bot.editMessageText(toTelegramHtml(first), { ...target, parse_mode: 'HTML' });
+      } catch (error) {
+        if (!isTelegramParseError(error)) {
+          throw error;
+        }
+        logger.warn('Telegram rejected formatted edit, retrying as plain text');
+        await this.bot.editMessageText(first, target);
+      }
+
+      for (const part of rest) {
+        await this.sendText(part, context);
+      }
+    } catch (error) {
+      logger.error('Error editing Telegram message:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a file as a Telegram document
+   * file = { filename, content, mimeType }
+   */
+  async sendFile(file, context, caption = '') {
+    try {
+      await this.bot.sendDocument(
+        context.chatId,
+        Buffer.from(file.content),
+        {
+          caption: caption ? toTelegramHtml(caption) : undefined,
+          parse_mode: caption ? 'HTML' : undefined,
+          reply_to_message_id: context.messageId,
+        },
+        {
+          filename: file.filename,
+          contentType: file.mimeType || 'application/octet-stream',
+        }
+      );
+
+      logger.debug(`File sent to Telegram: ${file.filename}`);
+    } catch (error) {
+      logger.error('Error sending file to Telegram:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send an error message (user-facing errors show their own text)
+   */
+  async sendErrorMessage(chatId, error = null) {
     try {
       await this.bot.sendMessage(
         chatId,
-        'Sorry, I encountered an error processing your message. Please try again.'
+        error?.userMessage || 'Sorry, I encountered an error processing your message. Please try again.'
       );
     } catch (error) {
       logger.error('Error sending error message to Telegram:', error);
@@ -134,13 +426,26 @@ class TelegramAdapter {
   }
 
   /**
-   * Stop the bot
+   * Stop the bot (removes the webhook in webhook mode)
    */
   async stop() {
-    if (this.bot) {
+    if (!this.bot) {
+      return;
+    }
+
+    if (this.mode === 'webhook') {
+      this.mode = null;
+      try {
+        await this.bot.deleteWebHook();
+        logger.info('Telegram webhook removed');
+      } catch (error) {
+        logger.error('Error removing Telegram webhook:', error.message);
+      }
+    } else {
       await this.bot.stopPolling();
-      logger.info('Telegram bot stopped');
     }
+
+    logger.info('Telegram bot stopped');
   }
 
   /**
@@ -2,6 +2,90 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+/**
+ * Parse a JSON environment variable, falling back to a default if unset or invalid
+ */
+function parseJsonEnv(name, fallback) {
+  if (!process.env[name]) {
+    return fallback;
+  }
+
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.warn(`Ignoring invalid JSON in ${name}: ${error.message}`);
+    return fallback;
+  }
+}
+
+/**
+ * Parse a positive integer setting, falling back to a default if unset or invalid
+ */
+function parsePositiveInt(value, name, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+
+  const number = Number(value);
+  if (Number.isInteger(number) && number > 0) {
+    return number;
+  }
+
+  console.warn(`Ignoring invalid ${name} (${JSON.stringify(value)}): expected a positive integer`);
+  return fallback;
+}
+
+/**
+ * Read the agent queue limits, ignoring concurrency limits that would never free a slot
+ */
+function queueLimits() {
+  const maxConcurrency = parsePositiveInt(process.env.AGENT_MAX_CONCURRENCY, 'AGENT_MAX_CONCURRENCY', 4);
+  const agents = {};
+
+  // Per-agent overrides, e.g. {"claude":{"maxConcurrency":2}}
+  for (const [name, limits] of Object.entries(parseJsonEnv('AGENT_QUEUE_LIMITS', {}))) {
+    agents[name] = { ...limits };
+    if ('maxConcurrency' in agents[name]) {
+      agents[name].maxConcurrency = parsePositiveInt(limits.maxConcurrency, `AGENT_QUEUE_LIMITS ${name}.maxConcurrency`, maxConcurrency);
+    }
+  }
+
+  return {
+    maxConcurrency,
+    maxQueueLength: parseInt(process.env.AGENT_MAX_QUEUE_LENGTH || '20', 10),
+    agents,
+  };
+}
+
+/**
+ * Read budget limits for a scope (USER, CHANNEL or AGENT) from the environment
+ * Unset limits are null (unlimited)
+ */
+function budgetLimits(scope) {
+  const read = (name) => (process.env[`BUDGET_${scope}_${name}`] ? parseFloat(process.env[`BUDGET_${scope}_${name}`]) : null);
+  return {
+    dailyTokens: read('DAILY_TOKENS'),
+    monthlyTokens: read('MONTHLY_TOKENS'),
+    dailyCost: read('DAILY_COST'),
+    monthlyCost: read('MONTHLY_COST'),
+  };
+}
+
+// Default model prices in USD per million tokens (matched by model ID prefix)
+const DEFAULT_MODEL_PRICES = {
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'anthropic/claude-3.5-sonnet': { input: 3, output: 15 },
+  'anthropic/claude-3.5-haiku': { input: 0.8, output: 4 },
+  'openai/gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'openai/gpt-4o': { input: 2.5, output: 10 },
+};
+
 export const config = {
   server: {
     port: process.env.PORT || 3000,
@@ -16,25 +100,95 @@ export const config = {
     botToken: process.env.SLACK_BOT_TOKEN,
     appToken: process.env.SLACK_APP_TOKEN,
     signingSecret: process.env.SLACK_SIGNING_SECRET,
-    enabled: !!(process.env.SLACK_BOT_TOKEN && process.env.SLACK_APP_TOKEN),
+    // socket (Socket Mode, needs the app token) or http (Events API, needs the signing secret)
+    mode: (process.env.SLACK_MODE || (process.env.SLACK_APP_TOKEN ? 'socket' : 'http')).toLowerCase(),
+    // Path of the Events API request URL on Botline's server
+    eventsPath: process.env.SLACK_EVENTS_PATH || '/slack/events',
+    enabled: !!(process.env.SLACK_BOT_TOKEN && (process.env.SLACK_APP_TOKEN || process.env.SLACK_SIGNING_SECRET)),
   },
   telegram: {
     botToken: process.env.TELEGRAM_BOT_TOKEN,
+    // Public HTTPS URL of Botline's webhook route; polling is used when unset
     webhookUrl: process.env.TELEGRAM_WEBHOOK_URL,
+    // Secret Telegram sends in X-Telegram-Bot-Api-Secret-Token (random per start when unset)
+    webhookSecret: process.env.TELEGRAM_WEBHOOK_SECRET || null,
     enabled: !!process.env.TELEGRAM_BOT_TOKEN,
   },
   agents: {
-    default: process.env.DEFAULT_AGENT || 'claude',
+    default: (process.env.DEFAULT_AGENT || 'claude').toLowerCase(),
+    fallback: process.env.AGENT_FALLBACK ? process.env.AGENT_FALLBACK.split(',').map(a => a.trim().toLowerCase()).filter(Boolean) : [],
+    retry: {
+      maxRetries: parseInt(process.env.AGENT_MAX_RETRIES || '3', 10),
+      baseDelay: parseInt(process.env.AGENT_RETRY_BASE_DELAY || '1000', 10),
+      maxDelay: parseInt(process.env.AGENT_RETRY_MAX_DELAY || '30000', 10),
+      timeout: parseInt(process.env.AGENT_REQUEST_TIMEOUT || '120000', 10),
+    },
+    queue: queueLimits(),
     claude: {
       apiKey: process.env.CLAUDE_API_KEY,
       model: process.env.CLAUDE_MODEL || 'claude-3-5-sonnet-20241022',
       enabled: !!process.env.CLAUDE_API_KEY,
+      tools: {
+        enabled: process.env.CLAUDE_TOOLS_ENABLED === 'true',
+        maxRounds: parseInt(process.env.CLAUDE_MAX_TOOL_ROUNDS || '5', 10),
+      },
     },
     openrouter: {
       apiKey: process.env.OPENROUTER_API_KEY,
       model: process.env.OPENROUTER_MODEL || 'anthropic/claude-3.5-sonnet',
       enabled: !!process.env.OPENROUTER_API_KEY,
     },
+    // Named OpenAI-compatible endpoints, e.g. {"local":{"baseUrl":"http://localhost:11434/v1","model":"llama3.1"}}
+    openaiCompatible: parseJsonEnv('OPENAI_COMPATIBLE_AGENTS', {}),
+  },
+  // Multi-step agent pipelines for /pipe, e.g. {"review":{"steps":[{"agent":"openrouter","prompt":"Draft: {{input}}"},{"agent":"claude","prompt":"Review:\n\n{{previous}}"}]}}
+  pipelines: parseJsonEnv('PIPELINES', {}),
+  plugins: {
+    dir: process.env.PLUGIN_DIR || null,
+    packages: process.env.PLUGIN_PACKAGES ? process.env.PLUGIN_PACKAGES.split(',').map(p => p.trim()).filter(Boolean) : [],
+    // Options passed to each plugin's create(), keyed by plugin name
+    options: parseJsonEnv('PLUGIN_OPTIONS', {}),
+  },
+  conversation: {
+    maxTurns: parseInt(process.env.CONVERSATION_MAX_TURNS || '10', 10),
+    maxTokens: parseInt(process.env.CONVERSATION_MAX_TOKENS || '8000', 10),
+    // Stored conversations idle for longer than this are pruned, and only the most recent are kept (0 disables)
+    maxAgeDays: parseInt(process.env.CONVERSATION_MAX_AGE_DAYS || '30', 10),
+    maxConversations: parseInt(process.env.CONVERSATION_MAX_COUNT || '1000', 10),
+    summary: {
+      // Older turns are summarised once a conversation exceeds this many tokens (0 disables)
+      maxTokens: parseInt(process.env.CONVERSATION_SUMMARY_TOKENS || '6000', 10),
+      // Most recent exchanges kept verbatim after summarising
+      keepTurns: parseInt(process.env.CONVERSATION_SUMMARY_KEEP_TURNS || '4', 10),
+      // Agent that writes the summary (defaults to the agent that answered)
+      agent: process.env.CONVERSATION_SUMMARY_AGENT || null,
+    },
+  },
+  messages: {
+    fileThreshold: parseInt(process.env.MESSAGE_FILE_THRESHOLD || '12000', 10),
+  },
+  attachments: {
+    maxImageBytes: parseInt(process.env.ATTACHMENT_MAX_IMAGE_BYTES || String(5 * 1024 * 1024), 10),
+    maxDocumentBytes: parseInt(process.env.ATTACHMENT_MAX_DOCUMENT_BYTES || String(10 * 1024 * 1024), 10),
+    maxDocumentChars: parseInt(process.env.ATTACHMENT_MAX_DOCUMENT_CHARS || '50000', 10),
+    downloadTimeout: parseInt(process.env.ATTACHMENT_DOWNLOAD_TIMEOUT || '30000', 10),
+    pdfToTextPath: process.env.PDFTOTEXT_PATH || 'pdftotext',
+  },
+  usage: {
+    prices: { ...DEFAULT_MODEL_PRICES, ...parseJsonEnv('MODEL_PRICES', {}) },
+    retentionDays: parseInt(process.env.USAGE_RETENTION_DAYS || '90', 10),
+  },
+  budgets: {
+    user: budgetLimits('USER'),
+    channel: budgetLimits('CHANNEL'),
+    agent: budgetLimits('AGENT'),
+    warnThreshold: parseFloat(process.env.BUDGET_WARN_THRESHOLD || '0.8'),
+    action: process.env.BUDGET_ACTION === 'downgrade' ? 'downgrade' : 'reject',
+    downgradeModels: parseJsonEnv('BUDGET_DOWNGRADE_MODELS', {}),
+  },
+  streaming: {
+    enabled: process.env.STREAMING_ENABLED === 'true',
+    updateInterval: parseInt(process.env.STREAM_UPDATE_INTERVAL || '1500', 10),
   },
   logging: {
     level: process.env.LOG_LEVEL || 'info',
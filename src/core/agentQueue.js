@@ -0,0 +1,145 @@
+import logger from './logger.js';
+import config from '../config/index.js';
+import { QueueFullError, RequestCancelledError } from './errors.js';
+
+// Number of recent wait times kept per agent for the averages in /status
+const WAIT_SAMPLE_SIZE = 100;
+
+/**
+ * AgentQueue - Limits concurrent requests per AI agent and queues the rest in order
+ * Limits come from config.agents.queue, with optional per-agent overrides
+ */
+class AgentQueue {
+  constructor() {
+    this.queues = new Map();
+  }
+
+  /**
+   * Get (or create) the queue state for an agent
+   */
+  getQueue(agentName) {
+    if (!this.queues.has(agentName)) {
+      this.queues.set(agentName, { active: 0, waiting: [], waits: [], processed: 0, rejected: 0 });
+    }
+    return this.queues.get(agentName);
+  }
+
+  /**
+   * Get the concurrency and queue length limits for an agent
+   */
+  getLimits(agentName) {
+    const { maxConcurrency, maxQueueLength, agents } = config.agents.queue;
+    return { maxConcurrency, maxQueueLength, ...(agents[agentName] || {}) };
+  }
+
+  /**
+   * Run a task once the agent has a free slot
+   * onQueued(position) is called when the task has to wait (position 1 = next in line)
+   * Throws QueueFullError when the queue is already at its maximum length,
+   * or RequestCancelledError when signal is aborted while waiting
+   */
+  async run(agentName, task, onQueued = async () => {}, signal = null) {
+    const queue = this.getQueue(agentName);
+    const limits = this.getLimits(agentName);
+    const enqueuedAt = Date.now();
+
+    if (queue.active < limits.maxConcurrency) {
+      queue.active++;
+    } else {
+      if (queue.waiting.length >= limits.maxQueueLength) {
+        queue.rejected++;
+        logger.warn(`Queue for ${agentName} is full (${queue.waiting.length} waiting)`);
+        throw new QueueFullError(agentName);
+      }
+
+      const waiter = { enqueuedAt };
+      const slot = new Promise((resolve, reject) => {
+        waiter.resolve = resolve;
+        waiter.reject = reject;
+      });
+      queue.waiting.push(waiter);
+
+      // Leave the queue if the request is cancelled before its turn
+      signal?.addEventListener('abort', () => {
+        const index = queue.waiting.indexOf(waiter);
+        if (index !== -1) {
+          queue.waiting.splice(index, 1);
+          waiter.reject(new RequestCancelledError(agentName));
+        }
+      }, { once: true });
+
+      const position = queue.waiting.length;
+      logger.info(`Request for ${agentName} queued at position ${position}`);
+
+      try {
+        await onQueued(position);
+      } catch (error) {
+        logger.warn('Error sending queue notice:', error.message);
+      }
+
+      // The releasing request hands its slot over, so active stays the same
+      await slot;
+    }
+
+    this.recordWait(queue, Date.now() - enqueuedAt);
+
+    try {
+      return await task();
+    } finally {
+      this.release(queue);
+    }
+  }
+
+  /**
+   * Free a slot, handing it to the next waiting request if there is one
+   */
+  release(queue) {
+    queue.processed++;
+
+    const next = queue.waiting.shift();
+    if (next) {
+      next.resolve();
+    } else {
+      queue.active--;
+    }
+  }
+
+  /**
+   * Remember how long a request waited for a slot
+   */
+  recordWait(queue, waitMs) {
+    queue.waits.push(waitMs);
+    if (queue.waits.length > WAIT_SAMPLE_SIZE) {
+      queue.waits.shift();
+    }
+  }
+
+  /**
+   * Get queue depth and wait times per agent
+   */
+  getStatus() {
+    const status = {};
+
+    for (const [agentName, queue] of this.queues.entries()) {
+      const limits = this.getLimits(agentName);
+      const oldest = queue.waiting[0];
+
+      status[agentName] = {
+        active: queue.active,
+        queued: queue.waiting.length,
+        maxConcurrency: limits.maxConcurrency,
+        maxQueueLength: limits.maxQueueLength,
+        processed: queue.processed,
+        rejected: queue.rejected,
+        avgWaitMs: queue.waits.length > 0 ? Math.round(queue.waits.reduce((sum, wait) => sum + wait, 0) / queue.waits.length) : 0,
+        maxWaitMs: queue.waits.length > 0 ? Math.max(...queue.waits) : 0,
+        oldestWaitingMs: oldest ? Date.now() - oldest.enqueuedAt : 0,
+      };
+    }
+
+    return status;
+  }
+}
+
+export const agentQueue = new AgentQueue();
+export default agentQueue;
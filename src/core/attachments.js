@@ -0,0 +1,220 @@
+import axios from 'axios';
+import { execFile } from 'child_process';
+import path from 'path';
+import logger from './logger.js';
+import config from '../config/index.js';
+import { UserFacingError } from './errors.js';
+
+// Image formats accepted by both Claude and OpenRouter vision models
+export const SUPPORTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Prompt used when an image is sent without a caption
+export const DEFAULT_IMAGE_PROMPT = 'Describe this image.';
+
+// Prompt used when a document is sent without a caption
+export const DEFAULT_DOCUMENT_PROMPT = 'Summarise this document.';
+
+// File extensions read as plain text (logs, data files and source code)
+export const TEXT_DOCUMENT_EXTENSIONS = [
+  'txt', 'md', 'markdown', 'json', 'csv', 'tsv', 'log', 'yaml', 'yml', 'xml', 'html', 'ini', 'toml',
+  'js', 'mjs', 'cjs', 'ts', 'tsx', 'jsx', 'py', 'rb', 'go', 'rs', 'java', 'kt', 'c', 'h', 'cpp', 'hpp',
+  'cs', 'php', 'sh', 'sql', 'swift', 'css', 'scss',
+];
+
+/**
+ * Check whether a MIME type is an image format we can forward
+ */
+export function isSupportedImage(mimeType) {
+  return SUPPORTED_IMAGE_TYPES.includes(mimeType);
+}
+
+/**
+ * Work out how to read a document: 'pdf', 'text' or null when unsupported
+ */
+export function getDocumentKind(filename = '', mimeType = '') {
+  const extension = path.extname(filename).slice(1).toLowerCase();
+
+  if (extension === 'pdf' || mimeType === 'application/pdf') {
+    return 'pdf';
+  }
+
+  if (TEXT_DOCUMENT_EXTENSIONS.includes(extension) || mimeType.startsWith('text/') || mimeType === 'application/json') {
+    return 'text';
+  }
+
+  return null;
+}
+
+/**
+ * Download a file into a Buffer, refusing files over maxBytes and giving up after config.attachments.downloadTimeout
+ */
+export async function downloadFile(url, { headers = {}, maxBytes } = {}) {
+  try {
+    const response = await axios.get(url, {
+      headers,
+      responseType: 'arraybuffer',
+      maxContentLength: maxBytes,
+      timeout: config.attachments.downloadTimeout,
+    });
+
+    logger.debug(`Downloaded attachment (${response.data.byteLength} bytes)`);
+    return Buffer.from(response.data);
+  } catch (error) {
+    if (error.message?.includes('maxContentLength')) {
+      throw new UserFacingError('Attachment too large', `That file is too large (limit ${Math.round(maxBytes / 1024 / 1024)} MB).`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Download an image and return it as { mediaType, data } with base64 data
+ */
+export async function downloadImage(url, mediaType, headers = {}) {
+  const buffer = await downloadFile(url, { headers, maxBytes: config.attachments.maxImageBytes });
+  return { mediaType, data: buffer.toString('base64') };
+}
+
+/**
+ * Extract the text of a PDF with the local pdftotext tool (poppler-utils)
+ */
+export function extractPdfText(buffer) {
+  return new Promise((resolve, reject) => {
+    const child = execFile(
+      config.attachments.pdfToTextPath,
+      ['-layout', '-enc', 'UTF-8', '-', '-'],
+      { maxBuffer: 50 * 1024 * 1024, timeout: 30000 },
+      (error, stdout) => {
+        if (error?.code === 'ENOENT') {
+          reject(new UserFacingError('pdftotext not found', 'PDF files are not supported on this server (pdftotext is not installed).'));
+        } else if (error) {
+          reject(new UserFacingError(`PDF extraction failed: ${error.message}`, 'Sorry, I could not read the text of that PDF.'));
+        } else {
+          resolve(stdout);
+        }
+      }
+    );
+
+    child.stdin.on('error', () => {}); // The process may exit before reading all input
+    child.stdin.end(buffer);
+  });
+}
+
+/**
+ * Download a document and extract its text, truncated to config.attachments.maxDocumentChars
+ * Returns { filename, text, truncated, totalChars }
+ */
+export async function downloadDocument(url, filename, mimeType, headers = {}) {
+  const kind = getDocumentKind(filename, mimeType);
+  if (!kind) {
+    throw new UserFacingError(`Unsupported document: ${filename}`, `Sorry, I can't read ${filename}. Send text, code, data files or PDFs.`);
+  }
+
+  const buffer = await downloadFile(url, { headers, maxBytes: config.attachments.maxDocumentBytes });
+
+  let text;
+  if (kind === 'pdf') {
+    text = await extractPdfText(buffer);
+  } else {
+    // A NUL byte near the start means this is a binary file despite its name
+    if (buffer.subarray(0, 8000).includes(0)) {
+      throw new UserFacingError(`Binary document: ${filename}`, `${filename} looks like a binary file, so I can't read it.`);
+    }
+    text = buffer.toString('utf-8');
+  }
+
+  const limit = config.attachments.maxDocumentChars;
+  const truncated = text.length > limit;
+  if (truncated) {
+    logger.info(`Document ${filename} truncated from ${text.length} to ${limit} characters`);
+  }
+
+  return {
+    filename,
+    text: truncated ? text.slice(0, limit) : text,
+    truncated,
+    totalChars: text.length,
+  };
+}
+
+/**
+ * Run attachment downloads, skipping the ones that fail so the rest of the message is still answered
+ * downloads = [{ name, download: () => Promise }]
+ * Returns { results, skipped } where skipped holds a note for the user about each failed attachment
+ */
+export async function settleDownloads(downloads) {
+  const outcomes = await Promise.allSettled(downloads.map(({ download }) => download()));
+  const results = [];
+  const skipped = [];
+
+  outcomes.forEach((outcome, index) => {
+    if (outcome.status === 'fulfilled') {
+      results.push(outcome.value);
+      return;
+    }
+
+    const { name } = downloads[index];
+    logger.warn(`Skipping attachment ${name}:`, outcome.reason?.message);
+    skipped.push(outcome.reason?.userMessage || `I couldn't download ${name}.`);
+  });
+
+  return { results, skipped };
+}
+
+/**
+ * Prepend extracted documents to a prompt
+ */
+export function withDocuments(message, documents = []) {
+  if (!documents?.length) {
+    return message;
+  }
+
+  const blocks = documents.map(doc =>
+    `<document name="${doc.filename}"${doc.truncated ? ' truncated="true"' : ''}>\n${doc.text}\n</document>`
+  );
+
+  return `${blocks.join('\n\n')}\n\n${message}`;
+}
+
+/**
+ * Get the prompt to use when attachments arrive without a caption
+ * Throws a UserFacingError when every attachment was skipped, since there is nothing left to answer
+ */
+export function getDefaultPrompt(images = [], documents = [], skipped = []) {
+  if (images.length === 0 && documents.length === 0 && skipped.length > 0) {
+    throw new UserFacingError('No readable attachments', skipped.join('\n'));
+  }
+  if (documents.length > 0) {
+    return DEFAULT_DOCUMENT_PROMPT;
+  }
+  return images.length > 0 ? DEFAULT_IMAGE_PROMPT : '';
+}
+
+/**
+ * Describe a context's attachments for conversation history, e.g. "[Attached: 1 image(s), app.log]"
+ * Returns an empty string when there are none
+ */
+export function describeAttachments(context = {}) {
+  const parts = [
+    ...(context.images?.length ? [`${context.images.length} image(s)`] : []),
+    ...(context.documents || []).map(doc => doc.filename),
+  ];
+  return parts.length > 0 ? `[Attached: ${parts.join(', ')}]` : '';
+}
+
+export default {
+  SUPPORTED_IMAGE_TYPES,
+  DEFAULT_IMAGE_PROMPT,
+  DEFAULT_DOCUMENT_PROMPT,
+  TEXT_DOCUMENT_EXTENSIONS,
+  isSupportedImage,
+  getDocumentKind,
+  downloadFile,
+  downloadImage,
+  extractPdfText,
+  downloadDocument,
+  settleDownloads,
+  withDocuments,
+  getDefaultPrompt,
+  describeAttachments,
+};
@@ -0,0 +1,95 @@
+import config from '../config/index.js';
+import usageTracker, { getDayKey } from './usageTracker.js';
+
+const SCOPES = [
+  { scope: 'user', bucket: 'users', label: 'Your' },
+  { scope: 'channel', bucket: 'channels', label: "This chat's" },
+  { scope: 'agent', bucket: 'agents', label: null },
+];
+
+const PERIODS = [
+  { period: 'daily', resets: 'at midnight UTC' },
+  { period: 'monthly', resets: 'at the start of next month' },
+];
+
+/**
+ * BudgetManager - Compares recorded usage against configured token/cost budgets
+ */
+class BudgetManager {
+  /**
+   * Check whether any budget applies at all
+   */
+  isEnabled() {
+    return SCOPES.some(({ scope }) => Object.values(config.budgets[scope]).some(limit => limit !== null));
+  }
+
+  /**
+   * Check the budgets for a request
+   * keys = { user, channel, agent }
+   * Returns { exceeded: [...], warnings: [...] } where each entry describes one budget
+   */
+  check(keys) {
+    const exceeded = [];
+    const warnings = [];
+    const dayKeys = {
+      daily: [getDayKey()],
+      monthly: usageTracker.getMonthDayKeys(),
+    };
+
+    for (const { scope, bucket, label } of SCOPES) {
+      const key = keys[scope];
+      const limits = config.budgets[scope];
+      if (!key) {
+        continue;
+      }
+
+      for (const { period, resets } of PERIODS) {
+        const stats = usageTracker.getStats(bucket, key, dayKeys[period]);
+
+        for (const metric of ['tokens', 'cost']) {
+          const limit = limits[`${period}${metric === 'tokens' ? 'Tokens' : 'Cost'}`];
+          if (limit === null || limit === undefined) {
+            continue;
+          }
+
+          const used = metric === 'tokens' ? stats.inputTokens + stats.outputTokens : stats.cost;
+          const entry = {
+            scope,
+            period,
+            metric,
+            used,
+            limit,
+            resets,
+            owner: label || `The ${key} agent's`,
+          };
+
+          if (used >= limit) {
+            exceeded.push(entry);
+          } else if (used >= limit * config.budgets.warnThreshold) {
+            warnings.push(entry);
+          }
+        }
+      }
+    }
+
+    return { exceeded, warnings };
+  }
+
+  /**
+   * Describe a budget entry for users
+   */
+  describe(entry) {
+    const format = (value) => (entry.metric === 'cost' ? `$${value.toFixed(2)}` : `${Math.round(value).toLocaleString()} tokens`);
+    return `${entry.owner} ${entry.period} ${entry.metric === 'cost' ? 'cost' : 'token'} budget (${format(entry.used)} of ${format(entry.limit)})`;
+  }
+
+  /**
+   * Get the cheaper model configured for an agent, if any
+   */
+  getDowngradeModel(agentName) {
+    return config.budgets.downgradeModels[agentName] || null;
+  }
+}
+
+export const budgetManager = new BudgetManager();
+export default budgetManager;
@@ -2,6 +2,18 @@ import logger from './logger.js';
 import agentRegistry from './agentRegistry.js';
 import messageBus from './messageBus.js';
 import creditTimerKeeper from './scheduler.js';
+import conversationStore from './conversationStore.js';
+import preferenceStore from './preferenceStore.js';
+import personaStore from './personaStore.js';
+import usageTracker, { getDayKey } from './usageTracker.js';
+import messageRouter from './router.js';
+import budgetManager from './budgetManager.js';
+import pipelineRunner from './pipelineRunner.js';
+import agentQueue from './agentQueue.js';
+import requestTracker from './requestTracker.js';
+import promptStore from './promptStore.js';
+import { PipelineStepError, UserFacingError } from './errors.js';
+import { getConversationKey, getPreferenceKey, getChannelKey, getUserKey } from './contextKeys.js';
 
 /**
  * CommandHandler - Handles chat commands like /start, /status, /help
@@ -22,6 +34,18 @@ class CommandHandler {
     this.register('agents', this.agentsCommand.bind(this));
     this.register('buffer', this.bufferCommand.bind(this));
     this.register('timer', this.timerCommand.bind(this));
+    this.register('history', this.historyCommand.bind(this));
+    this.register('forget', this.forgetCommand.bind(this));
+    this.register('export', this.exportCommand.bind(this));
+    this.register('use', this.useCommand.bind(this));
+    this.register('model', this.modelCommand.bind(this));
+    this.register('persona', this.personaCommand.bind(this));
+    this.register('usage', this.usageCommand.bind(this));
+    this.register('compare', this.compareCommand.bind(this));
+    this.register('pipe', this.pipeCommand.bind(this));
+    this.register('cancel', this.cancelCommand.bind(this));
+    this.register('summary', this.summaryCommand.bind(this));
+    this.register('prompt', this.promptCommand.bind(this));
   }
 
   /**
@@ -74,16 +98,30 @@ class CommandHandler {
 • \`/start <agent> <task>\` - Start an agent job
 • \`/buffer\` - Show recent messages
 • \`/timer <on|off|status>\` - Control Credit Timer Keeper
+• \`/history [n]\` - Show recent turns in this conversation
+• \`/forget\` - Clear this conversation's history
+• \`/export [md|json]\` - Export this conversation as a file
+• \`/summary\` - Show the rolling summary of this conversation's older turns
+• \`/use [agent|default]\` - Choose the AI agent for your messages
+• \`/model [model-id|default]\` - Choose the model for your current agent
+• \`/persona <set|list|show|clear|delete>\` - Manage this channel's persona
+• \`/prompt <save|list|show|delete|run>\` - Manage and run saved prompt templates
+• \`/usage [today|week|user]\` - Show token usage and cost
+• \`/compare [agentA,agentB] <prompt>\` - Ask several agents the same prompt
+• \`/pipe [name <input>]\` - Run a multi-step agent pipeline
+• \`/cancel\` - Stop your in-flight agent requests in this channel or chat
 
 **Direct Messages:**
 Any message that doesn't start with \`/\` will be forwarded to the default AI agent.
+Start a message with \`@agent\` or \`agent:\` to send it to a specific AI or CLI agent.
 
 **Examples:**
 \`/status\` - Check system status
 \`/agents\` - See all registered agents
 \`/start claude-cli "review recent commits"\` - Start a task
 \`/timer status\` - Check Credit Timer Keeper status
-\`What is the weather?\` - Ask the AI directly`;
+\`What is the weather?\` - Ask the AI directly
+\`@openrouter explain this\` - Ask a specific agent`;
 
     return { text: helpText };
   }
@@ -100,6 +138,7 @@ Any message that doesn't start with \`/\` will be forwarded to the default AI ag
     const agents = agentRegistry.getAllAgents();
     const activeAgents = agents.filter(a => a.active);
     const bufferStats = messageBus.getBufferStats();
+    const queues = Object.entries(agentQueue.getStatus());
 
     const statusText = `**Botline Status**
 
@@ -117,6 +156,9 @@ Any message that doesn't start with \`/\` will be forwarded to the default AI ag
 ${bufferStats.oldest ? `• Oldest: ${new Date(bufferStats.oldest).toLocaleString()}` : ''}
 ${bufferStats.newest ? `• Newest: ${new Date(bufferStats.newest).toLocaleString()}` : ''}
 
+**AI Agent Queues:**
+${queues.length > 0 ? queues.map(([name, q]) => `• ${name}: ${q.active}/${q.maxConcurrency} running, ${q.queued}/${q.maxQueueLength} queued • avg wait ${(q.avgWaitMs / 1000).toFixed(1)}s, max ${(q.maxWaitMs / 1000).toFixed(1)}s`).join('\n') : '• No requests yet'}
+
 **Active Agents:**
 ${activeAgents.length > 0 ? activeAgents.map(a => `• ${a.name} - Last seen: ${a.lastSeen ? new Date(a.lastSeen).toLocaleString() : 'Never'}`).join('\n') : '• None'}`;
 
@@ -259,6 +301,594 @@ The Credit Timer Keeper sends periodic "hello world (keepalive)" messages to Cla
         };
     }
   }
+
+  /**
+   * /history command - show recent turns in the current thread/chat
+   */
+  async historyCommand(args, context) {
+    const count = args[0] ? parseInt(args[0], 10) : 10;
+    if (isNaN(count) || count < 1) {
+      return { text: '**Usage:** `/history [n]`\n\nExample: `/history 5`' };
+    }
+
+    const turns = conversationStore.getRecentTurns(getConversationKey(context), count);
+
+    if (turns.length === 0) {
+      return { text: '**No conversation history**\n\nStart chatting and your messages will be remembered here.' };
+    }
+
+    const historyText = `**Conversation History** (last ${turns.length})
+
+${turns.map(turn => {
+  const time = new Date(turn.timestamp).toLocaleTimeString();
+  const speaker = turn.role === 'user' ? (turn.user || 'You') : (turn.agent || 'Assistant');
+  const preview = turn.content.substring(0, 200) + (turn.content.length > 200 ? '...' : '');
+  return `[${time}] **${speaker}:** ${preview}`;
+}).join('\n\n')}`;
+
+    return { text: historyText };
+  }
+
+  /**
+   * /forget command - clear the current thread/chat history
+   */
+  async forgetCommand(args, context) {
+    const cleared = await conversationStore.clear(getConversationKey(context));
+
+    return {
+      text: cleared
+        ? '**Conversation forgotten**\n\nThe next message will start a fresh conversation.'
+        : '**Nothing to forget**\n\nThis conversation has no history yet.',
+    };
+  }
+
+  /**
+   * /export command - upload the full transcript as a file
+   */
+  async exportCommand(args, context) {
+    const format = (args[0] || 'md').toLowerCase();
+    if (!['md', 'json'].includes(format)) {
+      return { text: '**Usage:** `/export [md|json]`\n\nExample: `/export json`' };
+    }
+
+    const conversationKey = getConversationKey(context);
+    const turns = conversationStore.getTranscript(conversationKey);
+
+    if (turns.length === 0) {
+      return { text: '**Nothing to export**\n\nThis conversation has no history yet.' };
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    return {
+      text: `**Conversation export** (${turns.length} turns)`,
+      file: {
+        filename: `botline-conversation-${date}.${format}`,
+        content: conversationStore.exportConversation(conversationKey, format),
+        mimeType: format === 'json' ? 'application/json' : 'text/markdown',
+      },
+    };
+  }
+
+  /**
+   * /summary command - show the rolling summary of the current thread/chat
+   */
+  async summaryCommand(args, context) {
+    const summary = conversationStore.getSummary(getConversationKey(context));
+
+    if (!summary) {
+      return { text: '**No summary yet**\n\nOlder turns are summarised once this conversation gets long.' };
+    }
+
+    return {
+      text: `**Conversation Summary** (${summary.turns} earlier turns, by ${summary.agent}, updated ${new Date(summary.updatedAt).toLocaleString()})\n\n${summary.text}`,
+    };
+  }
+
+  /**
+   * /use command - select the AI agent for this user in this channel
+   */
+  async useCommand(args, context) {
+    const agents = messageRouter.getAgents();
+    const preferenceKey = getPreferenceKey(context);
+    const current = messageRouter.resolveAgentName(context);
+
+    if (args.length === 0) {
+      if (agents.length === 0) {
+        return { text: '**No AI agents available**\n\nConfigure at least one agent to use Botline.' };
+      }
+
+      const agentsText = `**Available AI Agents**
+
+${agents.map(name => {
+  const markers = [];
+  if (name === current) markers.push('current');
+  if (name === messageRouter.defaultAgent) markers.push('default');
+  return `• \`${name}\`${markers.length > 0 ? ` (${markers.join(', ')})` : ''}`;
+}).join('\n')}
+
+Use \`/use <agent>\` to switch or \`/use default\` to reset.`;
+
+      return { text: agentsText };
+    }
+
+    const agentName = args[0].toLowerCase();
+
+    if (agentName === 'default' || agentName === 'reset') {
+      await preferenceStore.setAgent(preferenceKey, null);
+      return { text: `**Agent reset**\n\nYour messages will go to the default agent (${messageRouter.defaultAgent || 'none'}).` };
+    }
+
+    if (!agents.includes(agentName)) {
+      return {
+        text: `**Agent not found:** ${agentName}\n\nAvailable agents: ${agents.map(a => `\`${a}\``).join(', ') || 'none'}`,
+      };
+    }
+
+    await preferenceStore.setAgent(preferenceKey, agentName);
+    return { text: `**Now using ${agentName}**\n\nYour messages in this chat will be answered by ${agentName}.` };
+  }
+
+  /**
+   * /model command - select the model for the current agent
+   */
+  async modelCommand(args, context) {
+    const agentName = messageRouter.resolveAgentName(context);
+    const adapter = agentName ? messageRouter.agentAdapters.get(agentName) : null;
+
+    if (!adapter) {
+      return { text: '**No AI agent available**\n\nUse `/use` to see available agents.' };
+    }
+
+    const preferenceKey = getPreferenceKey(context);
+
+    if (args.length === 0) {
+      const preferred = preferenceStore.getModel(preferenceKey, agentName);
+      return {
+        text: `**Model for ${agentName}:** \`${preferred || adapter.model}\`${preferred ? '' : ' (default)'}\n\nUse \`/model <model-id>\` to switch or \`/model default\` to reset.`,
+      };
+    }
+
+    const modelId = args[0];
+
+    if (modelId === 'default' || modelId === 'reset') {
+      await preferenceStore.setModel(preferenceKey, agentName, null);
+      return { text: `**Model reset**\n\n${agentName} will use its default model (\`${adapter.model}\`).` };
+    }
+
+    await preferenceStore.setModel(preferenceKey, agentName, modelId);
+    return { text: `**Model set**\n\n${agentName} will now use \`${modelId}\` for your messages in this chat.` };
+  }
+
+  /**
+   * /persona command - manage named system prompts bound to the current channel
+   */
+  async personaCommand(args, context) {
+    const usage = '**Usage:** `/persona <set|list|show|clear|delete>`\n\n**Examples:**\n• `/persona set ops You are a terse ops helper.` - Create/update a persona and use it here\n• `/persona set ops` - Use an existing persona here\n• `/persona list` - List saved personas\n• `/persona show [name]` - Show a persona\'s prompt\n• `/persona clear` - Stop using a persona here\n• `/persona delete ops` - Delete a persona';
+
+    if (args.length === 0) {
+      return { text: usage };
+    }
+
+    const action = args[0].toLowerCase();
+    const channelKey = getChannelKey(context);
+    const current = personaStore.getChannelPersona(channelKey);
+
+    switch (action) {
+      case 'set': {
+        const name = args[1]?.toLowerCase();
+        const prompt = args.slice(2).join(' ').trim();
+
+        if (!name) {
+          return { text: '**Usage:** `/persona set <name> [system prompt]`' };
+        }
+
+        if (prompt) {
+          await personaStore.savePersona(name, prompt, context.username || context.user);
+        } else if (!personaStore.getPersona(name)) {
+          return { text: `**Persona not found:** ${name}\n\nProvide a prompt to create it: \`/persona set ${name} <system prompt>\`` };
+        }
+
+        await personaStore.bindChannel(channelKey, name);
+        return { text: `**Persona set:** ${name}\n\nAgents in this chat will now use the ${name} persona.` };
+      }
+
+      case 'list': {
+        const personas = personaStore.getAllPersonas();
+        if (personas.length === 0) {
+          return { text: '**No personas saved**\n\nCreate one with `/persona set <name> <system prompt>`.' };
+        }
+
+        const listText = `**Personas** (${personas.length})
+
+${personas.map(p => {
+  const preview = p.prompt.substring(0, 80) + (p.prompt.length > 80 ? '...' : '');
+  return `• **${p.name}**${p.name === current ? ' (active here)' : ''} - ${preview}`;
+}).join('\n')}`;
+
+        return { text: listText };
+      }
+
+      case 'show': {
+        const name = args[1]?.toLowerCase() || current;
+        if (!name) {
+          return { text: '**No persona active in this chat**\n\nUse `/persona list` to see saved personas.' };
+        }
+
+        const persona = personaStore.getPersona(name);
+        if (!persona) {
+          return { text: `**Persona not found:** ${name}` };
+        }
+
+        return { text: `**Persona: ${name}**${name === current ? ' (active here)' : ''}\n\n${persona.prompt}` };
+      }
+
+      case 'clear':
+        if (!current) {
+          return { text: '**No persona active in this chat**' };
+        }
+        await personaStore.bindChannel(channelKey, null);
+        return { text: `**Persona cleared**\n\nAgents in this chat will no longer use the ${current} persona.` };
+
+      case 'delete': {
+        const name = args[1]?.toLowerCase();
+        if (!name) {
+          return { text: '**Usage:** `/persona delete <name>`' };
+        }
+
+        const deleted = await personaStore.deletePersona(name);
+        return { text: deleted ? `**Persona deleted:** ${name}` : `**Persona not found:** ${name}` };
+      }
+
+      default:
+        return { text: `**Unknown action:** ${action}\n\n${usage}` };
+    }
+  }
+
+  /**
+   * /prompt command - manage and run saved prompt templates
+   */
+  async promptCommand(args, context) {
+    const usage = '**Usage:** `/prompt <save|list|show|delete|run>`\n\n**Examples:**\n• `/prompt save review Review this diff for bugs: {{diff}}` - Save a template\n• `/prompt save notes @claude Write release notes for {{version}}: {{input}}` - Save a template pinned to an agent\n• `/prompt list` - List saved templates\n• `/prompt show review` - Show a template\n• `/prompt delete review` - Delete a template\n• `/prompt run notes version=2.1 <commits>` - Run a template (text after the key=value pairs fills `{{input}}`)';
+
+    if (args.length === 0) {
+      return { text: usage };
+    }
+
+    const action = args[0].toLowerCase();
+    const name = args[1]?.toLowerCase();
+
+    switch (action) {
+      case 'save': {
+        let text = args.slice(2).join(' ').trim();
+        if (!name || !text) {
+          return { text: '**Usage:** `/prompt save <name> [@agent] <template>`\n\nUse `{{placeholder}}` for values filled in by `/prompt run`.' };
+        }
+
+        // "@agent ..." at the start of the template pins it to that agent
+        let agent = null;
+        const addressed = messageRouter.parseAgentPrefix(text);
+        if (addressed?.type === 'cli') {
+          return { text: `**Cannot pin to ${addressed.agentName}**\n\nTemplates can only be pinned to AI agents.` };
+        }
+        if (addressed) {
+          agent = addressed.agentName;
+          text = addressed.message;
+        }
+
+        // Templates are sent as regular messages, so they must not run commands
+        if (text.startsWith('/')) {
+          return { text: '**Templates cannot start with /**\n\nA template is sent to the agent as a message, not run as a command.' };
+        }
+
+        await promptStore.saveTemplate(name, text, agent, context.username || context.user);
+
+        const placeholders = promptStore.getPlaceholders(text);
+        return {
+          text: `**Prompt saved:** ${name}${agent ? ` (pinned to ${agent})` : ''}\n\n${placeholders.length > 0 ? `Placeholders: ${placeholders.join(', ')}` : 'No placeholders'}`,
+        };
+      }
+
+      case 'list': {
+        const templates = promptStore.getAllTemplates();
+        if (templates.length === 0) {
+          return { text: '**No prompts saved**\n\nCreate one with `/prompt save <name> <template>`.' };
+        }
+
+        const listText = `**Prompts** (${templates.length})
+
+${templates.map(t => {
+  const preview = t.text.substring(0, 80) + (t.text.length > 80 ? '...' : '');
+  return `• **${t.name}**${t.agent ? ` (${t.agent})` : ''} - ${preview}`;
+}).join('\n')}`;
+
+        return { text: listText };
+      }
+
+      case 'show': {
+        if (!name) {
+          return { text: '**Usage:** `/prompt show <name>`' };
+        }
+
+        const template = promptStore.getTemplate(name);
+        if (!template) {
+          return { text: `**Prompt not found:** ${name}` };
+        }
+
+        return { text: `**Prompt: ${name}**${template.agent ? ` (pinned to ${template.agent})` : ''}\n\n${template.text}` };
+      }
+
+      case 'delete': {
+        if (!name) {
+          return { text: '**Usage:** `/prompt delete <name>`' };
+        }
+
+        const deleted = await promptStore.deleteTemplate(name);
+        return { text: deleted ? `**Prompt deleted:** ${name}` : `**Prompt not found:** ${name}` };
+      }
+
+      case 'run': {
+        if (!name) {
+          return { text: '**Usage:** `/prompt run <name> [key=value ...] [input]`' };
+        }
+
+        const rendered = promptStore.render(name, promptStore.parseValues(args.slice(2).join(' ')));
+        if (!rendered) {
+          return { text: `**Prompt not found:** ${name}\n\nUse \`/prompt list\` to see saved prompts.` };
+        }
+
+        if (rendered.missing.length > 0) {
+          return {
+            text: `**Missing values:** ${rendered.missing.join(', ')}\n\n**Usage:** \`/prompt run ${name} ${rendered.missing.map(key => (key === 'input' ? '<input>' : `${key}=...`)).join(' ')}\``,
+          };
+        }
+
+        if (rendered.agent && !messageRouter.agentAdapters.has(rendered.agent)) {
+          return { text: `**Agent not available:** ${rendered.agent}\n\nThe ${name} prompt is pinned to an agent that isn't registered.` };
+        }
+
+        // A value filled in at the start could still turn the prompt into a command
+        if (rendered.prompt.trimStart().startsWith('/')) {
+          return { text: `**Cannot run ${name}:** the filled-in prompt starts with /, which would run it as a command.` };
+        }
+
+        // Send the filled-in prompt as a regular message so history, personas, budgets and streaming apply
+        try {
+          await messageRouter.routeMessage(context.platform, rendered.prompt, {
+            ...context,
+            isCommand: false,
+            agent: rendered.agent || context.agent,
+          });
+        } catch (error) {
+          if (error instanceof UserFacingError) {
+            return { text: `❌ ${error.userMessage}` };
+          }
+          throw error;
+        }
+
+        // The reply has already been sent
+        return null;
+      }
+
+      default:
+        return { text: `**Unknown action:** ${action}\n\n${usage}` };
+    }
+  }
+
+  /**
+   * /usage command - show token usage and cost
+   */
+  async usageCommand(args, context) {
+    const period = (args[0] || 'today').toLowerCase();
+    const formatStats = (stats) => `${stats.requests} requests • ${(stats.inputTokens + stats.outputTokens).toLocaleString()} tokens (${stats.inputTokens.toLocaleString()} in / ${stats.outputTokens.toLocaleString()} out) • $${stats.cost.toFixed(4)}`;
+
+    if (period === 'user' || period === 'me') {
+      const userKey = getUserKey(context);
+      const today = usageTracker.getStats('users', userKey, [getDayKey()]);
+      const week = usageTracker.getStats('users', userKey, usageTracker.getRecentDayKeys(7));
+      const month = usageTracker.getStats('users', userKey, usageTracker.getMonthDayKeys());
+
+      return {
+        text: `**Your Usage**
+
+• **Today:** ${formatStats(today)}
+• **Last 7 days:** ${formatStats(week)}
+• **This month:** ${formatStats(month)}`,
+      };
+    }
+
+    if (period !== 'today' && period !== 'week') {
+      return { text: '**Usage:** `/usage [today|week|user]`\n\n**Examples:**\n• `/usage` - Usage today\n• `/usage week` - Usage over the last 7 days\n• `/usage user` - Your own usage' };
+    }
+
+    const dayKeys = period === 'week' ? usageTracker.getRecentDayKeys(7) : [getDayKey()];
+    const summary = usageTracker.summarize(dayKeys);
+
+    if (summary.total.requests === 0) {
+      return { text: `**No usage recorded ${period === 'week' ? 'in the last 7 days' : 'today'}**` };
+    }
+
+    const topEntries = (bucket, limit = 5) => Object.entries(bucket)
+      .sort(([, a], [, b]) => b.cost - a.cost || (b.inputTokens + b.outputTokens) - (a.inputTokens + a.outputTokens))
+      .slice(0, limit);
+
+    const usageText = `**Usage ${period === 'week' ? '(last 7 days)' : '(today)'}**
+
+**Total:** ${formatStats(summary.total)}
+
+**By Agent:**
+${topEntries(summary.agents).map(([name, stats]) => `• ${name}: ${formatStats(stats)}`).join('\n')}
+
+**By Model:**
+${topEntries(summary.models).map(([name, stats]) => `• ${name}: ${formatStats(stats)}`).join('\n')}
+
+**Top Users:**
+${topEntries(summary.users).map(([key, stats]) => `• ${stats.name || key}: ${formatStats(stats)}`).join('\n')}`;
+
+    return { text: usageText };
+  }
+
+  /**
+   * /compare command - send one prompt to several agents and show the answers side by side
+   */
+  async compareCommand(args, context) {
+    const available = messageRouter.getAgents();
+
+    // An optional first argument selects agents: "/compare claude,openrouter <prompt>"
+    let agentNames = available;
+    let promptArgs = args;
+    const requested = args[0] ? args[0].toLowerCase().split(',').filter(Boolean) : [];
+    if (args.length > 1 && (args[0].includes(',') || available.includes(requested[0]))) {
+      const unknown = requested.filter(name => !available.includes(name));
+      if (unknown.length > 0) {
+        return { text: `**Unknown agent:** ${unknown.join(', ')}\n\n**Available agents:** ${available.join(', ')}` };
+      }
+      agentNames = [...new Set(requested)];
+      promptArgs = args.slice(1);
+    }
+
+    const prompt = promptArgs.join(' ').trim();
+    if (!prompt) {
+      return { text: '**Usage:** `/compare [agentA,agentB] <prompt>`\n\n**Examples:**\n• `/compare explain CRDTs in two sentences` - Ask every agent\n• `/compare claude,openrouter write a haiku` - Ask selected agents' };
+    }
+
+    if (agentNames.length === 0) {
+      return { text: '**No AI agents available**' };
+    }
+
+    // Agents whose budget is used up are left out rather than failing the whole comparison
+    const skipped = [];
+    if (budgetManager.isEnabled()) {
+      agentNames = agentNames.filter((name) => {
+        const { exceeded } = budgetManager.check({ user: getUserKey(context), channel: getChannelKey(context), agent: name });
+        if (exceeded.length > 0) {
+          skipped.push(`**${name}** - skipped: ${budgetManager.describe(exceeded[0])} is used up`);
+          return false;
+        }
+        return true;
+      });
+    }
+
+    // Track the comparison so /cancel can abort it
+    const request = requestTracker.start(context, agentNames.join(', '), prompt.substring(0, 100));
+    const { signal } = request.controller;
+
+    let results;
+    try {
+      results = await messageRouter.compareAgents(agentNames, prompt, { ...context, signal });
+    } finally {
+      requestTracker.finish(context, request);
+    }
+
+    // /cancel already answered the user
+    if (signal.aborted) {
+      logger.info(`Comparison from ${context.platform} was cancelled`);
+      return null;
+    }
+
+    const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+    const sections = results.map(({ agent, response, error, latency }) => {
+      if (error) {
+        return `**${agent}** - ❌ failed after ${seconds(latency)}: ${error.userMessage || error.message}`;
+      }
+
+      const tokens = response.usage
+        ? `${(response.usage.inputTokens + response.usage.outputTokens).toLocaleString()} tokens (${response.usage.inputTokens} in / ${response.usage.outputTokens} out)`
+        : 'tokens unknown';
+      return `**${agent}** (${response.model}) - ${seconds(latency)} • ${tokens}\n\n${response.text}`;
+    });
+
+    const succeeded = results.filter(r => !r.error).length;
+    const compareText = `**Compare** (${succeeded}/${results.length} agents answered)
+
+${[...sections, ...skipped].join('\n\n———\n\n')}`;
+
+    return { text: compareText };
+  }
+
+  /**
+   * /pipe command - run a configured multi-step agent pipeline
+   */
+  async pipeCommand(args, context) {
+    const pipelines = pipelineRunner.getPipelines();
+
+    if (args.length === 0 || args[0].toLowerCase() === 'list') {
+      if (pipelines.length === 0) {
+        return { text: '**No pipelines configured**\n\nDefine pipelines with the `PIPELINES` setting.' };
+      }
+
+      return {
+        text: `**Pipelines** (${pipelines.length})
+
+${pipelines.map(p => `• **${p.name}**: ${p.steps.map(step => step.agent).join(' → ')}${p.description ? ` - ${p.description}` : ''}`).join('\n')}
+
+**Usage:** \`/pipe <name> <input>\``,
+      };
+    }
+
+    const name = args[0];
+    const input = args.slice(1).join(' ').trim();
+    const pipeline = pipelineRunner.getPipeline(name);
+
+    if (!pipeline) {
+      return { text: `**Pipeline not found:** ${name}\n\nUse \`/pipe list\` to see available pipelines.` };
+    }
+
+    if (!input) {
+      return { text: `**Usage:** \`/pipe ${name} <input>\`` };
+    }
+
+    const total = pipeline.steps.length;
+
+    // Post intermediate results to the thread when the pipeline asks for it
+    const onStep = async (result) => {
+      if (pipeline.showSteps && result.step < total) {
+        await messageRouter.sendToPlatform(context.platform, {
+          text: `**Step ${result.step}/${total}** (${result.agent})\n\n${result.output}`,
+        }, context);
+      }
+    };
+
+    // Track the pipeline so /cancel can abort it
+    const request = requestTracker.start(context, `pipeline ${name}`, input.substring(0, 100));
+    const { signal } = request.controller;
+
+    try {
+      const { output, steps } = await pipelineRunner.run(name, input, { ...context, signal }, onStep);
+      const seconds = (steps.reduce((sum, step) => sum + step.latency, 0) / 1000).toFixed(1);
+
+      return {
+        text: `**Pipeline ${name}** (${steps.map(step => step.agent).join(' → ')} • ${seconds}s)\n\n${output}`,
+      };
+    } catch (error) {
+      // /cancel already answered the user
+      if (signal.aborted) {
+        logger.info(`Pipeline ${name} from ${context.platform} was cancelled`);
+        return null;
+      }
+      if (error instanceof PipelineStepError) {
+        return { text: `❌ ${error.userMessage}` };
+      }
+      throw error;
+    } finally {
+      requestTracker.finish(context, request);
+    }
+  }
+
+  /**
+   * /cancel command - abort the user's in-flight agent requests in this channel or chat
+   */
+  async cancelCommand(args, context) {
+    const cancelled = requestTracker.cancel(context);
+
+    if (cancelled.length === 0) {
+      return { text: '**Nothing to cancel**\n\nYou have no agent request in progress here.' };
+    }
+
+    return {
+      text: `**Cancelled ${cancelled.length} request${cancelled.length === 1 ? '' : 's'}**\n\n${cancelled.map(r => `• ${r.agent}: ${r.message}`).join('\n')}`,
+    };
+  }
 }
 
 export const commandHandler = new CommandHandler();
@@ -0,0 +1,51 @@
+/**
+ * Context key helpers
+ * Derive stable storage keys from the message context built by platform adapters
+ */
+
+/**
+ * Get the conversation key for a message context
+ * Slack conversations are keyed by thread, Telegram conversations by chat
+ */
+export function getConversationKey(context = {}) {
+  const platform = context.platform || 'unknown';
+
+  if (platform === 'slack' && context.channel) {
+    return `slack:${context.channel}:${context.threadTs || 'main'}`;
+  }
+
+  if (platform === 'telegram' && context.chatId !== undefined) {
+    return `telegram:${context.chatId}`;
+  }
+
+  return `${platform}:${context.channel || context.chatId || context.user || context.userId || 'unknown'}`;
+}
+
+/**
+ * Get the channel key for a message context (Slack channel or Telegram chat)
+ */
+export function getChannelKey(context = {}) {
+  const platform = context.platform || 'unknown';
+  return `${platform}:${context.channel || context.chatId || 'direct'}`;
+}
+
+/**
+ * Get the key for a user within a channel (used for per-user preferences)
+ */
+export function getPreferenceKey(context = {}) {
+  return `${getChannelKey(context)}:${context.user || context.userId || 'unknown'}`;
+}
+
+/**
+ * Get the user key for a message context (platform-qualified user ID)
+ */
+export function getUserKey(context = {}) {
+  return `${context.platform || 'unknown'}:${context.user || context.userId || 'unknown'}`;
+}
+
+export default {
+  getConversationKey,
+  getChannelKey,
+  getPreferenceKey,
+  getUserKey,
+};
@@ -0,0 +1,321 @@
+import fs from 'fs/promises';
+import path from 'path';
+import logger from './logger.js';
+import config from '../config/index.js';
+
+// Changes are written at most this often (ms), so a burst of exchanges shares one write
+const SAVE_DELAY = 2000;
+
+/**
+ * ConversationStore - Keeps multi-turn conversation history per thread/chat
+ * History is windowed by turn count and estimated token count before being sent to agents
+ * Older turns can be replaced by a rolling summary (see conversationSummarizer.js)
+ * Stores conversations in a JSON file so they survive restarts
+ */
+class ConversationStore {
+  constructor(storePath = './data/conversations.json', options = {}) {
+    this.storePath = storePath;
+    this.maxTurns = options.maxTurns ?? config.conversation.maxTurns;
+    this.maxTokens = options.maxTokens ?? config.conversation.maxTokens;
+    this.maxAgeDays = options.maxAgeDays ?? config.conversation.maxAgeDays;
+    this.maxConversations = options.maxConversations ?? config.conversation.maxConversations;
+    this.conversations = new Map();
+    this.saveQueue = Promise.resolve();
+    this.saveTimer = null;
+  }
+
+  /**
+   * Initialize the store (load from file)
+   */
+  async initialize() {
+    try {
+      await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+      await this.load();
+      logger.info(`Conversation store initialized with ${this.conversations.size} conversations`);
+    } catch (error) {
+      logger.error('Error initializing conversation store:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load conversations from JSON file
+   */
+  async load() {
+    try {
+      const data = await fs.readFile(this.storePath, 'utf-8');
+      const conversationsData = JSON.parse(data);
+
+      this.conversations.clear();
+      for (const [key, conversation] of Object.entries(conversationsData)) {
+        this.conversations.set(key, {
+          ...conversation,
+          turns: conversation.turns.map(turn => ({ ...turn, timestamp: new Date(turn.timestamp) })),
+          summary: conversation.summary ? { ...conversation.summary, updatedAt: new Date(conversation.summary.updatedAt) } : null,
+          createdAt: new Date(conversation.createdAt),
+          updatedAt: new Date(conversation.updatedAt),
+        });
+      }
+
+      logger.debug(`Loaded ${this.conversations.size} conversations from store`);
+      this.prune();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.info('Conversation store file not found, starting with empty store');
+        await this.save();
+      } else {
+        logger.error('Error loading conversation store:', error);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Save conversations to JSON file
+   * Writes are queued so concurrent saves never interleave
+   */
+  async save() {
+    this.saveQueue = this.saveQueue.then(async () => {
+      try {
+        this.prune();
+        const conversationsData = Object.fromEntries(this.conversations);
+        await fs.writeFile(this.storePath, JSON.stringify(conversationsData, null, 2));
+        logger.debug('Conversation store saved');
+      } catch (error) {
+        logger.error('Error saving conversation store:', error);
+      }
+    });
+
+    return this.saveQueue;
+  }
+
+  /**
+   * Save after SAVE_DELAY, batching any other changes made in the meantime
+   */
+  scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DELAY);
+  }
+
+  /**
+   * Write pending changes now (used on shutdown)
+   */
+  async flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      this.save();
+    }
+    await this.saveQueue;
+  }
+
+  /**
+   * Drop conversations idle for longer than maxAgeDays, then the least recently
+   * updated ones beyond maxConversations (0 disables either limit)
+   */
+  prune() {
+    const before = this.conversations.size;
+
+    if (this.maxAgeDays > 0) {
+      const cutoff = Date.now() - this.maxAgeDays * 24 * 60 * 60 * 1000;
+      for (const [key, conversation] of this.conversations.entries()) {
+        if (new Date(conversation.updatedAt).getTime() < cutoff) {
+          this.conversations.delete(key);
+        }
+      }
+    }
+
+    if (this.maxConversations > 0 && this.conversations.size > this.maxConversations) {
+      const oldest = Array.from(this.conversations.entries())
+        .sort(([, a], [, b]) => new Date(a.updatedAt) - new Date(b.updatedAt))
+        .slice(0, this.conversations.size - this.maxConversations);
+      for (const [key] of oldest) {
+        this.conversations.delete(key);
+      }
+    }
+
+    const removed = before - this.conversations.size;
+    if (removed > 0) {
+      logger.info(`Pruned ${removed} old conversations`);
+    }
+    return removed;
+  }
+
+  /**
+   * Estimate the token count of a piece of text (roughly 4 characters per token)
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  /**
+   * Get or create a conversation
+   */
+  getConversation(key) {
+    if (!this.conversations.has(key)) {
+      this.conversations.set(key, {
+        turns: [],
+        summary: null,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+    }
+    return this.conversations.get(key);
+  }
+
+  /**
+   * Add a turn (user or assistant message) to a conversation
+   */
+  addTurn(key, role, content, meta = {}) {
+    const conversation = this.getConversation(key);
+    conversation.turns.push({ role, content, ...meta, timestamp: new Date() });
+    conversation.updatedAt = new Date();
+
+    logger.debug(`Conversation ${key} now has ${conversation.turns.length} turns`);
+  }
+
+  /**
+   * Record a completed user/assistant exchange and schedule it to be persisted
+   */
+  async addExchange(key, userMessage, assistantMessage, meta = {}) {
+    this.addTurn(key, 'user', userMessage, meta.user ? { user: meta.user } : {});
+    this.addTurn(key, 'assistant', assistantMessage, meta.agent ? { agent: meta.agent } : {});
+    this.scheduleSave();
+  }
+
+  /**
+   * Get the most recent raw turns of a conversation (including timestamps and metadata)
+   */
+  getRecentTurns(key, count = 10) {
+    const conversation = this.conversations.get(key);
+    return conversation ? conversation.turns.slice(-count) : [];
+  }
+
+  /**
+   * Get the full transcript of a conversation
+   */
+  getTranscript(key) {
+    const conversation = this.conversations.get(key);
+    return conversation ? conversation.turns : [];
+  }
+
+  /**
+   * Get the windowed history for a conversation as agent messages
+   * Returns [{ role, content }] limited to maxTurns exchanges and maxTokens
+   */
+  getHistory(key) {
+    const conversation = this.conversations.get(key);
+    if (!conversation || this.maxTurns <= 0) {
+      return [];
+    }
+
+    let turns = conversation.turns.slice(-this.maxTurns * 2);
+
+    // Drop the oldest turns until the window fits the token budget
+    let tokens = turns.reduce((sum, turn) => sum + this.estimateTokens(turn.content), 0);
+    while (turns.length > 0 && tokens > this.maxTokens) {
+      tokens -= this.estimateTokens(turns[0].content);
+      turns = turns.slice(1);
+    }
+
+    // Agents expect the history to start with a user message
+    while (turns.length > 0 && turns[0].role !== 'user') {
+      turns = turns.slice(1);
+    }
+
+    return turns.map(turn => ({ role: turn.role, content: turn.content }));
+  }
+
+  /**
+   * Get the rolling summary of a conversation's older turns
+   * Returns { text, turns, agent, updatedAt } or null
+   */
+  getSummary(key) {
+    return this.conversations.get(key)?.summary || null;
+  }
+
+  /**
+   * Estimate the token count of a list of turns
+   */
+  estimateTurnTokens(turns) {
+    return turns.reduce((sum, turn) => sum + this.estimateTokens(turn.content), 0);
+  }
+
+  /**
+   * Replace the oldest turns of a conversation with a summary
+   * turns are the turns that were summarised; nothing changes if they are no longer at the
+   * start of the conversation (e.g. it was cleared while the summary was being written)
+   */
+  async applySummary(key, text, turns, agent) {
+    const conversation = this.conversations.get(key);
+    if (!conversation || turns.length === 0 || !turns.every((turn, i) => conversation.turns[i] === turn)) {
+      return false;
+    }
+
+    conversation.turns = conversation.turns.slice(turns.length);
+    conversation.summary = {
+      text,
+      turns: (conversation.summary?.turns || 0) + turns.length,
+      agent,
+      updatedAt: new Date(),
+    };
+    conversation.updatedAt = new Date();
+
+    this.scheduleSave();
+    logger.debug(`Conversation ${key}: summarised ${turns.length} turns`);
+    return true;
+  }
+
+  /**
+   * Clear a conversation
+   */
+  async clear(key) {
+    const existed = this.conversations.delete(key);
+    if (existed) {
+      await this.save();
+      logger.debug(`Conversation cleared: ${key}`);
+    }
+    return existed;
+  }
+
+  /**
+   * Export a conversation as Markdown or JSON
+   */
+  exportConversation(key, format = 'md') {
+    const turns = this.getTranscript(key);
+
+    if (format === 'json') {
+      return JSON.stringify({ conversation: key, exportedAt: new Date().toISOString(), summary: this.getSummary(key), turns }, null, 2);
+    }
+
+    const lines = [
+      '# Botline Conversation',
+      '',
+      `- Conversation: \`${key}\``,
+      `- Exported: ${new Date().toISOString()}`,
+      `- Turns: ${turns.length}`,
+      '',
+    ];
+
+    const summary = this.getSummary(key);
+    if (summary) {
+      lines.push(`### Summary of ${summary.turns} earlier turns`, '', summary.text, '');
+    }
+
+    for (const turn of turns) {
+      const speaker = turn.role === 'user' ? 'User' : `Assistant${turn.agent ? ` (${turn.agent})` : ''}`;
+      lines.push(`### ${speaker} — ${new Date(turn.timestamp).toISOString()}`, '', turn.content, '');
+    }
+
+    return lines.join('\n');
+  }
+}
+
+export const conversationStore = new ConversationStore();
+export default conversationStore;
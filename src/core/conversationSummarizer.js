@@ -0,0 +1,122 @@
+import logger from './logger.js';
+import config from '../config/index.js';
+import messageBus from './messageBus.js';
+import messageRouter from './router.js';
+import agentQueue from './agentQueue.js';
+import conversationStore from './conversationStore.js';
+
+// Instructions sent to the agent that writes the summary
+const SUMMARY_INSTRUCTIONS = `Summarise the conversation below so the summary can replace the original messages as context for continuing it.
+Keep facts, decisions, names, numbers, code identifiers, open questions and the user's stated preferences; drop greetings and small talk.
+Write concise bullet points (at most 300 words) and reply with the summary only.`;
+
+/**
+ * ConversationSummarizer - Compacts long conversations into a rolling summary
+ * Once a conversation exceeds config.conversation.summary.maxTokens, an agent summarises
+ * the older turns (together with any previous summary) and the recent turns stay verbatim
+ */
+class ConversationSummarizer {
+  constructor() {
+    this.pending = new Set();
+  }
+
+  /**
+   * Check whether the older turns of a conversation are over the summary token budget
+   * The recent turns are kept verbatim anyway, so they don't count; nothing is summarised
+   * when conversation memory is disabled
+   */
+  needsSummary(key) {
+    const { maxTokens } = config.conversation.summary;
+    if (maxTokens <= 0 || conversationStore.maxTurns <= 0) {
+      return false;
+    }
+
+    return conversationStore.estimateTurnTokens(this.getTurnsToSummarise(key)) > maxTokens;
+  }
+
+  /**
+   * Get the turns to summarise: everything before the most recent keepTurns exchanges
+   */
+  getTurnsToSummarise(key) {
+    const turns = conversationStore.getTranscript(key);
+    const keep = Math.max(config.conversation.summary.keepTurns, 0) * 2;
+    return turns.slice(0, Math.max(turns.length - keep, 0));
+  }
+
+  /**
+   * Build the summarisation prompt from the previous summary and the turns to fold into it
+   */
+  buildPrompt(previousSummary, turns) {
+    const transcript = turns.map(turn => {
+      const speaker = turn.role === 'user' ? `User${turn.user ? ` (${turn.user})` : ''}` : `Assistant${turn.agent ? ` (${turn.agent})` : ''}`;
+      return `${speaker}: ${turn.content}`;
+    }).join('\n\n');
+
+    const sections = [SUMMARY_INSTRUCTIONS];
+    if (previousSummary) {
+      sections.push(`Summary of the conversation so far:\n${previousSummary}`, `Messages since then:\n${transcript}`);
+    } else {
+      sections.push(`Conversation:\n${transcript}`);
+    }
+
+    return sections.join('\n\n');
+  }
+
+  /**
+   * Summarise a conversation's older turns if it is over budget
+   * agentName is the agent that answered, used unless a summary agent is configured
+   * Never throws; returns the new summary or null if nothing was summarised
+   */
+  async summarise(key, agentName, context = {}) {
+    if (this.pending.has(key) || !this.needsSummary(key)) {
+      return null;
+    }
+
+    const turns = this.getTurnsToSummarise(key);
+    if (turns.length === 0) {
+      return null;
+    }
+
+    const summaryAgent = config.conversation.summary.agent || agentName;
+    const agent = messageRouter.agentAdapters.get(summaryAgent);
+    if (!agent) {
+      logger.warn(`Cannot summarise conversation ${key}: agent ${summaryAgent} not found`);
+      return null;
+    }
+
+    this.pending.add(key);
+
+    try {
+      logger.info(`Summarising ${turns.length} turns of conversation ${key} with ${summaryAgent}`);
+
+      const previous = conversationStore.getSummary(key);
+      const prompt = this.buildPrompt(previous?.text, turns);
+      const response = await agentQueue.run(summaryAgent, () => agent.sendMessage(prompt, { tools: false }));
+      await messageRouter.recordUsage(summaryAgent, response, context);
+
+      const applied = await conversationStore.applySummary(key, response.text.trim(), turns, summaryAgent);
+      if (!applied) {
+        logger.debug(`Conversation ${key} changed while it was being summarised, discarding summary`);
+        return null;
+      }
+
+      const summary = conversationStore.getSummary(key);
+      messageBus.publishEvent('conversation:summarised', summary.text, {
+        platform: context.platform,
+        user: context.user || context.userId,
+        agent: summaryAgent,
+        turns: turns.length,
+      });
+
+      return summary;
+    } catch (error) {
+      logger.error(`Error summarising conversation ${key}:`, error.message);
+      return null;
+    } finally {
+      this.pending.delete(key);
+    }
+  }
+}
+
+export const conversationSummarizer = new ConversationSummarizer();
+export default conversationSummarizer;
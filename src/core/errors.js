@@ -0,0 +1,86 @@
+/**
+ * UserFacingError - An error whose message is safe and useful to show in chat
+ * Platform adapters reply with userMessage instead of the generic failure text
+ */
+export class UserFacingError extends Error {
+  constructor(message, userMessage = message) {
+    super(message);
+    this.name = 'UserFacingError';
+    this.userMessage = userMessage;
+  }
+}
+
+/**
+ * BudgetExceededError - A request was rejected because a token/cost budget is used up
+ */
+export class BudgetExceededError extends UserFacingError {
+  constructor(userMessage, exceeded = []) {
+    super(`Budget exceeded: ${exceeded.map(e => `${e.scope} ${e.period} ${e.metric}`).join(', ')}`, userMessage);
+    this.name = 'BudgetExceededError';
+    this.exceeded = exceeded;
+  }
+}
+
+/**
+ * AgentRequestError - An AI agent API request failed
+ * kind is one of auth, quota, rate_limit, overload, bad_request, timeout or unavailable
+ */
+export class AgentRequestError extends UserFacingError {
+  constructor(message, userMessage, { kind, status = null, agent = null } = {}) {
+    super(message, userMessage);
+    this.name = 'AgentRequestError';
+    this.kind = kind;
+    this.status = status;
+    this.agent = agent;
+  }
+}
+
+/**
+ * QueueFullError - An agent's request queue is at its maximum length
+ */
+export class QueueFullError extends UserFacingError {
+  constructor(agent) {
+    super(`Queue full for ${agent}`, `${agent} is handling too many requests right now. Please try again in a moment.`);
+    this.name = 'QueueFullError';
+    this.agent = agent;
+  }
+}
+
+/**
+ * RequestCancelledError - A request was aborted with /cancel
+ */
+export class RequestCancelledError extends UserFacingError {
+  constructor(agent = null) {
+    super(`Request${agent ? ` to ${agent}` : ''} cancelled`, 'Request cancelled.');
+    this.name = 'RequestCancelledError';
+    this.agent = agent;
+  }
+}
+
+/**
+ * PipelineStepError - A step of a /pipe pipeline failed
+ * step is 1-based; cause is the underlying error
+ */
+export class PipelineStepError extends UserFacingError {
+  constructor(pipeline, step, agent, cause) {
+    const reason = cause.userMessage || cause.message;
+    super(
+      `Pipeline ${pipeline} failed at step ${step} (${agent}): ${cause.message}`,
+      `Pipeline **${pipeline}** failed at step ${step} (${agent}): ${reason}`
+    );
+    this.name = 'PipelineStepError';
+    this.pipeline = pipeline;
+    this.step = step;
+    this.agent = agent;
+    this.cause = cause;
+  }
+}
+
+export default {
+  UserFacingError,
+  BudgetExceededError,
+  AgentRequestError,
+  QueueFullError,
+  RequestCancelledError,
+  PipelineStepError,
+};
@@ -0,0 +1,194 @@
+/**
+ * Formatter - Converts agent Markdown (CommonMark) into platform dialects
+ * Slack uses mrkdwn, Telegram uses a small HTML subset (parse_mode: 'HTML')
+ */
+
+const PLACEHOLDER = '\u0000';
+
+/**
+ * Pull fenced code blocks and inline code spans out of the text so inline rules don't touch them
+ * Returns { text, blocks, spans } where text contains placeholders
+ */
+function extractCode(markdown) {
+  const blocks = [];
+  const spans = [];
+
+  let text = markdown.replace(/^[ \t]*(```|~~~)[ \t]*([^\n]*)\n([\s\S]*?)^[ \t]*\1[ \t]*$/gm, (match, fence, info, code) => {
+    blocks.push({ lang: info.trim().split(/\s+/)[0], code: code.replace(/\n$/, '') });
+    return `${PLACEHOLDER}B${blocks.length - 1}${PLACEHOLDER}`;
+  });
+
+  text = text.replace(/(`+)([^`\n]|[^`\n][\s\S]*?[^`\n])\1(?!`)/g, (match, ticks, code) => {
+    spans.push(code);
+    return `${PLACEHOLDER}S${spans.length - 1}${PLACEHOLDER}`;
+  });
+
+  return { text, blocks, spans };
+}
+
+/**
+ * Put code back in place of the placeholders
+ */
+function restoreCode(text, blocks, spans, renderBlock, renderSpan) {
+  return text
+    .replace(new RegExp(`${PLACEHOLDER}B(\\d+)${PLACEHOLDER}`, 'g'), (match, i) => renderBlock(blocks[i]))
+    .replace(new RegExp(`${PLACEHOLDER}S(\\d+)${PLACEHOLDER}`, 'g'), (match, i) => renderSpan(spans[i]));
+}
+
+/**
+ * Escape text for Slack (only &, < and > are control characters)
+ */
+export function escapeSlack(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape text for Telegram HTML
+ */
+export function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert Markdown to Slack mrkdwn
+ */
+export function toSlackMrkdwn(markdown) {
+  if (!markdown) {
+    return markdown;
+  }
+
+  const { text, blocks, spans } = extractCode(markdown);
+  const links = [];
+
+  let out = escapeSlack(text)
+    // Links: [text](url) -> <url|text>, kept aside so emphasis rules don't touch URLs
+    .replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+      links.push(`<${url.replace(/&amp;/g, '&')}|${label}>`);
+      return `${PLACEHOLDER}L${links.length - 1}${PLACEHOLDER}`;
+    })
+    // Bullets
+    .replace(/^([ \t]*)[-*+][ \t]+/gm, '$1• ')
+    // Block quotes need a literal > at the start of the line
+    .replace(/^&gt;/gm, '>')
+    // Italic: *text* or _text_ -> _text_ (before bold so **bold** is left intact)
+    .replace(/(^|[^\w*])\*(?![\s*])([^*\n]+?)(?<!\s)\*(?![\w*])/g, '$1_$2_')
+    // Bold: **text** or __text__ -> *text*
+    .replace(/\*\*(?!\s)([^\n]+?)(?<!\s)\*\*/g, '*$1*')
+    .replace(/(^|\W)__(?!\s)([^\n]+?)(?<!\s)__(?!\w)/g, '$1*$2*')
+    // Strikethrough
+    .replace(/~~(?!\s)([^\n]+?)(?<!\s)~~/g, '~$1~')
+    // Headings -> bold lines (after emphasis so the added asterisks aren't rewritten)
+    .replace(/^#{1,6}[ \t]+(.+?)[ \t]*#*$/gm, (match, title) => `*${title.replace(/\*/g, '')}*`)
+    .replace(new RegExp(`${PLACEHOLDER}L(\\d+)${PLACEHOLDER}`, 'g'), (match, i) => links[i]);
+
+  out = restoreCode(
+    out,
+    blocks,
+    spans,
+    block => `\`\`\`\n${escapeSlack(block.code)}\n\`\`\``,
+    span => `\`${escapeSlack(span)}\``
+  );
+
+  return out;
+}
+
+/**
+ * Re-nest overlapping inline tags, e.g. <b>a <i>b</b></i> -> <b>a <i>b</i></b>
+ * Tags still open at a mismatched closing tag are closed and re-opened after it
+ */
+function balanceTags(html) {
+  const open = [];
+
+  const balanced = html.replace(/<(\/?)(b|i|s)>/g, (tag, closing, name) => {
+    if (!closing) {
+      open.push(name);
+      return tag;
+    }
+
+    const index = open.lastIndexOf(name);
+    if (index === -1) {
+      return '';
+    }
+
+    const inner = open.splice(index).slice(1);
+    open.push(...inner);
+    return `${inner.map(n => `</${n}>`).reverse().join('')}</${name}>${inner.map(n => `<${n}>`).join('')}`;
+  });
+
+  // Closing and re-opening can leave empty pairs behind
+  return balanced.replace(/<(b|i|s)><\/\1>/g, '');
+}
+
+/**
+ * Convert Markdown to Telegram HTML (parse_mode: 'HTML')
+ * Tags are generated in pairs and re-nested where emphasis overlaps; bare URLs are left untouched.
+ * Telegram can still reject unusual input, so callers fall back to plain text (see isTelegramParseError)
+ */
+export function toTelegramHtml(markdown) {
+  if (!markdown) {
+    return markdown;
+  }
+
+  const { text, blocks, spans } = extractCode(markdown);
+  const links = [];
+
+  let out = escapeHtml(text)
+    .replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+      links.push(`<a href="${url}">${label}</a>`);
+      return `${PLACEHOLDER}L${links.length - 1}${PLACEHOLDER}`;
+    })
+    // Bare URLs are kept aside so underscores in them aren't read as emphasis
+    .replace(/\bhttps?:\/\/[^\s<]+/g, (url) => {
+      links.push(url);
+      return `${PLACEHOLDER}L${links.length - 1}${PLACEHOLDER}`;
+    })
+    .replace(/^#{1,6}[ \t]+(.+?)[ \t]*#*$/gm, (match, title) => `<b>${title.replace(/\*\*/g, '')}</b>`)
+    .replace(/^([ \t]*)[-*+][ \t]+/gm, '$1• ')
+    .replace(/\*\*(?!\s)([^\n]+?)(?<!\s)\*\*/g, '<b>$1</b>')
+    .replace(/(^|\W)__(?!\s)([^\n]+?)(?<!\s)__(?!\w)/g, '$1<b>$2</b>')
+    .replace(/(^|[^\w*])\*(?![\s*])([^*\n]+?)(?<!\s)\*(?![\w*])/g, '$1<i>$2</i>')
+    .replace(/(^|[^\w])_(?![\s_])([^_\n]+?)(?<!\s)_(?!\w)/g, '$1<i>$2</i>')
+    .replace(/~~(?!\s)([^\n]+?)(?<!\s)~~/g, '<s>$1</s>')
+    .replace(/^&gt;[ \t]?(.*)$/gm, '<blockquote>$1</blockquote>')
+    .replace(/<\/blockquote>\n<blockquote>/g, '\n');
+
+  out = balanceTags(out)
+    .replace(new RegExp(`${PLACEHOLDER}L(\\d+)${PLACEHOLDER}`, 'g'), (match, i) => links[i]);
+
+  out = restoreCode(
+    out,
+    blocks,
+    spans,
+    block => block.lang
+      ? `<pre><code class="language-${escapeHtml(block.lang)}">${escapeHtml(block.code)}</code></pre>`
+      : `<pre>${escapeHtml(block.code)}</pre>`,
+    span => `<code>${escapeHtml(span)}</code>`
+  );
+
+  return out;
+}
+
+/**
+ * Check whether a Telegram API error was caused by the formatting
+ * (unparseable HTML, or markup that pushed the message over the length limit)
+ */
+export function isTelegramParseError(error) {
+  const description = error?.response?.body?.description || error?.message || '';
+  return /can't parse entities|can't find end|unsupported start tag|message is too long/i.test(description);
+}
+
+/**
+ * Check whether a Slack API error was caused by the message formatting
+ */
+export function isSlackFormatError(error) {
+  return /^invalid_(blocks|attachments|arguments)/.test(error?.data?.error || '');
+}
+
+export default {
+  toSlackMrkdwn,
+  toTelegramHtml,
+  escapeSlack,
+  escapeHtml,
+  isTelegramParseError,
+  isSlackFormatError,
+};
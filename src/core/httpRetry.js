@@ -0,0 +1,172 @@
+import axios from 'axios';
+import logger from './logger.js';
+import config from '../config/index.js';
+import { AgentRequestError } from './errors.js';
+
+// Messages shown to users for each kind of agent failure
+const USER_MESSAGES = {
+  auth: (agent) => `${agent} rejected Botline's API credentials. Please ask an admin to check the configuration.`,
+  quota: (agent) => `${agent} has run out of credits or quota. Please ask an admin to top it up.`,
+  rate_limit: (agent) => `${agent} is rate limiting requests right now. Please try again in a minute.`,
+  overload: (agent) => `${agent} is overloaded right now. Please try again shortly.`,
+  bad_request: (agent, detail) => `${agent} rejected the request${detail ? `: ${detail}` : '.'}`,
+  timeout: (agent) => `${agent} took too long to respond. Please try again.`,
+  unavailable: (agent) => `${agent} is unavailable right now. Please try again later.`,
+};
+
+/**
+ * Get the API's error message from an axios error, if the body was JSON
+ */
+export function getApiErrorMessage(error) {
+  const data = error.response?.data;
+  return data?.error?.message || (typeof data?.error === 'string' ? data.error : null);
+}
+
+/**
+ * Classify a failed API request
+ * Returns auth, quota, rate_limit, overload, bad_request, timeout or unavailable
+ */
+export function classifyError(error) {
+  const status = error.response?.status;
+  const data = error.response?.data;
+  const type = `${data?.error?.type || ''} ${data?.error?.code || ''}`.toLowerCase();
+  const message = (getApiErrorMessage(error) || '').toLowerCase();
+
+  if (!error.response) {
+    return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' ? 'timeout' : 'unavailable';
+  }
+  if (status === 401 || status === 403) {
+    return 'auth';
+  }
+  if (status === 402 || type.includes('insufficient_quota') || /credit|quota|billing/.test(message)) {
+    return 'quota';
+  }
+  if (status === 429) {
+    return 'rate_limit';
+  }
+  if (status === 529 || status === 503 || type.includes('overloaded')) {
+    return 'overload';
+  }
+  if (status >= 400 && status < 500) {
+    return 'bad_request';
+  }
+  return 'unavailable';
+}
+
+/**
+ * Check whether a failed request is worth retrying (429, 5xx and overloaded responses)
+ */
+export function isRetryable(error) {
+  const kind = classifyError(error);
+  return error.response && (kind === 'rate_limit' || kind === 'overload' || error.response.status >= 500);
+}
+
+/**
+ * Work out how long to wait before the next attempt
+ * Honours a retry-after header (seconds or HTTP date), otherwise uses jittered exponential backoff
+ */
+export function getRetryDelay(error, attempt) {
+  const { baseDelay, maxDelay } = config.agents.retry;
+  const retryAfter = error.response?.headers?.['retry-after'];
+
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+    if (delay >= 0) {
+      return Math.min(delay, maxDelay);
+    }
+  }
+
+  // Full jitter: a random delay up to the exponential backoff ceiling
+  return Math.round(Math.random() * Math.min(baseDelay * 2 ** attempt, maxDelay));
+}
+
+/**
+ * Wait for a delay, resolving early if the signal is aborted
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+/**
+ * Read the body of a failed streaming request so its error details can be classified
+ */
+async function readErrorBody(error) {
+  const data = error.response?.data;
+  if (!data || typeof data.on !== 'function') {
+    return;
+  }
+
+  try {
+    let raw = '';
+    for await (const chunk of data) {
+      raw += chunk;
+    }
+    error.response.data = JSON.parse(raw);
+  } catch {
+    error.response.data = null;
+  }
+}
+
+/**
+ * POST to an AI agent API with a timeout and retries for transient failures
+ * options = { headers, responseType, label, signal } - an aborted signal cancels the request and any pending retry
+ */
+export async function postWithRetry(url, body, options = {}) {
+  const { maxRetries, timeout } = config.agents.retry;
+  const label = options.label || url;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await axios.post(url, body, {
+        headers: options.headers,
+        responseType: options.responseType,
+        signal: options.signal,
+        timeout,
+      });
+    } catch (error) {
+      await readErrorBody(error);
+
+      if (attempt >= maxRetries || !isRetryable(error) || options.signal?.aborted) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt);
+      logger.warn(`${label} request failed with ${error.response.status}, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})`);
+      await sleep(delay, options.signal);
+    }
+  }
+}
+
+/**
+ * Convert a failed agent request into an AgentRequestError with a user-facing message
+ */
+export function toAgentError(error, agentLabel) {
+  if (error instanceof AgentRequestError || error.userMessage) {
+    return error;
+  }
+
+  const kind = classifyError(error);
+  const detail = getApiErrorMessage(error);
+
+  return new AgentRequestError(`${agentLabel} API error: ${detail || error.message}`, USER_MESSAGES[kind](agentLabel, detail), {
+    kind,
+    status: error.response?.status || null,
+    agent: agentLabel,
+  });
+}
+
+export default {
+  getApiErrorMessage,
+  classifyError,
+  isRetryable,
+  getRetryDelay,
+  postWithRetry,
+  toAgentError,
+};
@@ -63,6 +63,16 @@ class MessageBus extends EventEmitter {
     }
   }
 
+  /**
+   * Publish an internal system event (e.g. agent:fallback)
+   * Recorded in the buffer and emitted, but not run through message middleware
+   */
+  publishEvent(event, message, context = {}) {
+    this.addToBuffer({ event, message, context, timestamp: new Date() });
+    this.emit(event, message, context);
+    logger.debug(`Event published: ${event}`, { message: message.substring(0, 50) });
+  }
+
   /**
    * Add message to in-memory buffer
    */
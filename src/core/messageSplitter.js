@@ -0,0 +1,136 @@
+import config from '../config/index.js';
+
+// Room kept free in each chunk for the part number and re-opened/closed code fences
+const RESERVED_CHARS = 32;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+/**
+ * Hard-split a single line that can never fit in a chunk, preferring whitespace
+ */
+function splitLongLine(line, maxLength) {
+  const pieces = [];
+  let rest = line;
+
+  while (rest.length > maxLength) {
+    let cut = rest.lastIndexOf(' ', maxLength);
+    if (cut < maxLength / 2) {
+      cut = maxLength;
+    }
+    pieces.push(rest.slice(0, cut));
+    rest = rest.slice(cut).replace(/^ /, '');
+  }
+
+  pieces.push(rest);
+  return pieces;
+}
+
+/**
+ * Split a Markdown message into chunks no longer than limit
+ * Prefers paragraph boundaries, never leaves a code fence unbalanced, and numbers the parts
+ */
+export function splitMessage(text, limit) {
+  if (!text || text.length <= limit) {
+    return [text];
+  }
+
+  const budget = Math.max(limit - RESERVED_CHARS, 64);
+  const chunks = [];
+  let lines = [];
+  let size = 0;
+  let fence = null;
+  let lastBreak = -1;
+  let sizeAtBreak = 0;
+
+  const emit = (chunkLines) => {
+    const chunk = chunkLines.join('\n').trim();
+    if (chunk) {
+      chunks.push(chunk);
+    }
+  };
+
+  const measure = (chunkLines) => chunkLines.reduce((sum, line) => sum + line.length + 1, 0);
+
+  const sourceLines = text.split('\n').flatMap(line => splitLongLine(line, budget - 16));
+
+  for (const line of sourceLines) {
+    if (size + line.length + 1 > budget && lines.length > 0) {
+      // Cut at the last paragraph break if it leaves a reasonably full chunk
+      if (lastBreak > 0 && sizeAtBreak >= budget / 2) {
+        emit(lines.slice(0, lastBreak));
+        lines = lines.slice(lastBreak + 1);
+        size = measure(lines);
+      }
+
+      // Otherwise cut here, closing and re-opening any open code fence
+      if (size + line.length + 1 > budget && lines.length > 0) {
+        if (fence) {
+          emit([...lines, fence.match(FENCE_PATTERN)[1]]);
+          lines = [fence];
+        } else {
+          emit(lines);
+          lines = [];
+        }
+        size = measure(lines);
+      }
+
+      lastBreak = -1;
+    }
+
+    lines.push(line);
+    size += line.length + 1;
+
+    if (FENCE_PATTERN.test(line)) {
+      fence = fence ? null : line.trim();
+    } else if (!fence && line.trim() === '') {
+      lastBreak = lines.length - 1;
+      sizeAtBreak = size;
+    }
+  }
+
+  emit(lines);
+
+  if (chunks.length <= 1) {
+    return chunks;
+  }
+
+  return chunks.map((chunk, index) => `(${index + 1}/${chunks.length})\n${chunk}`);
+}
+
+/**
+ * Fit in-progress text into a single message by keeping its most recent part
+ */
+export function truncateForPreview(text, limit) {
+  if (!text || text.length <= limit) {
+    return text;
+  }
+  return `…${text.slice(-(limit - 1))}`;
+}
+
+/**
+ * Check whether a message is too long for chat and should be sent as a file instead
+ */
+export function shouldSendAsFile(text) {
+  return !!text && text.length > config.messages.fileThreshold;
+}
+
+// Caption sent with responses that were converted to a file
+export const FILE_FALLBACK_NOTE = 'The response was too long for chat, so it is attached as a file.';
+
+/**
+ * Wrap a long response as a Markdown file attachment
+ */
+export function toMarkdownFile(text) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  return {
+    filename: `botline-response-${timestamp}.md`,
+    content: text,
+    mimeType: 'text/markdown',
+  };
+}
+
+export default {
+  splitMessage,
+  truncateForPreview,
+  shouldSendAsFile,
+  toMarkdownFile,
+};
@@ -1,5 +1,10 @@
 import logger from './logger.js';
 import agentRegistry from './agentRegistry.js';
+import config from '../config/index.js';
+import budgetManager from './budgetManager.js';
+import messageRouter from './router.js';
+import { getUserKey, getChannelKey } from './contextKeys.js';
+import { BudgetExceededError } from './errors.js';
 
 /**
  * Logging middleware - logs all messages passing through
@@ -142,6 +147,51 @@ export async function commandDetectionMiddleware(message, context, next) {
   await next();
 }
 
+/**
+ * Budget middleware - enforces token/cost budgets before a message reaches an agent
+ * Over-budget requests are rejected or downgraded to a cheaper model; near-limit ones get a warning
+ */
+export async function budgetMiddleware(message, context, next) {
+  // Only check platform messages for agents, and only once per message
+  if (!context.platform || context.isCommand || context.budgetChecked || !budgetManager.isEnabled()) {
+    await next();
+    return;
+  }
+  context.budgetChecked = true;
+
+  const addressed = messageRouter.parseAgentPrefix(message);
+  if (addressed?.type === 'cli') {
+    await next();
+    return;
+  }
+
+  const agentName = addressed?.agentName || messageRouter.resolveAgentName(context);
+  const { exceeded, warnings } = budgetManager.check({
+    user: getUserKey(context),
+    channel: getChannelKey(context),
+    agent: agentName,
+  });
+
+  if (exceeded.length > 0) {
+    const downgradeModel = config.budgets.action === 'downgrade' && budgetManager.getDowngradeModel(agentName);
+    const reason = budgetManager.describe(exceeded[0]);
+
+    if (!downgradeModel) {
+      logger.warn(`Budget exceeded for ${getUserKey(context)} on ${agentName}: ${reason}`);
+      throw new BudgetExceededError(`⛔ ${reason} is used up. It resets ${exceeded[0].resets}.`, exceeded);
+    }
+
+    logger.info(`Budget exceeded for ${getUserKey(context)}, downgrading ${agentName} to ${downgradeModel}`);
+    context.model = downgradeModel;
+    context.budgetNotice = `${reason} is used up, so this reply used the cheaper ${downgradeModel} model.`;
+  } else if (warnings.length > 0) {
+    const warning = warnings[0];
+    context.budgetNotice = `Heads up: ${budgetManager.describe(warning)} is ${Math.floor((warning.used / warning.limit) * 100)}% used.`;
+  }
+
+  await next();
+}
+
 export default {
   loggingMiddleware,
   accessControlMiddleware,
@@ -149,4 +199,5 @@ export default {
   rateLimitMiddleware,
   validationMiddleware,
   commandDetectionMiddleware,
+  budgetMiddleware,
 };
@@ -0,0 +1,145 @@
+import fs from 'fs/promises';
+import path from 'path';
+import logger from './logger.js';
+
+/**
+ * PersonaStore - Named system prompts and the channels they are bound to
+ * Stores personas and channel bindings in a JSON file for persistence
+ */
+class PersonaStore {
+  constructor(storePath = './data/personas.json') {
+    this.storePath = storePath;
+    this.personas = new Map();
+    this.channels = new Map();
+  }
+
+  /**
+   * Initialize the store (load from file)
+   */
+  async initialize() {
+    try {
+      await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+      await this.load();
+      logger.info(`Persona store initialized with ${this.personas.size} personas`);
+    } catch (error) {
+      logger.error('Error initializing persona store:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load personas from JSON file
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.storePath, 'utf-8'));
+      this.personas = new Map(Object.entries(data.personas || {}));
+      this.channels = new Map(Object.entries(data.channels || {}));
+      logger.debug(`Loaded ${this.personas.size} personas and ${this.channels.size} channel bindings`);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.info('Persona store file not found, starting with empty store');
+        await this.save();
+      } else {
+        logger.error('Error loading persona store:', error);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Save personas to JSON file
+   */
+  async save() {
+    try {
+      const data = {
+        personas: Object.fromEntries(this.personas),
+        channels: Object.fromEntries(this.channels),
+      };
+      await fs.writeFile(this.storePath, JSON.stringify(data, null, 2));
+      logger.debug('Persona store saved');
+    } catch (error) {
+      logger.error('Error saving persona store:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update a persona
+   */
+  async savePersona(name, prompt, createdBy = null) {
+    const existing = this.personas.get(name);
+    this.personas.set(name, {
+      prompt,
+      createdBy: existing?.createdBy || createdBy,
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    });
+    await this.save();
+    logger.info(`Persona saved: ${name}`);
+  }
+
+  /**
+   * Delete a persona and unbind it from every channel
+   */
+  async deletePersona(name) {
+    if (!this.personas.delete(name)) {
+      return false;
+    }
+
+    for (const [channelKey, personaName] of this.channels.entries()) {
+      if (personaName === name) {
+        this.channels.delete(channelKey);
+      }
+    }
+
+    await this.save();
+    logger.info(`Persona deleted: ${name}`);
+    return true;
+  }
+
+  /**
+   * Get a persona by name
+   */
+  getPersona(name) {
+    return this.personas.get(name);
+  }
+
+  /**
+   * Get all personas as [{ name, prompt, ... }]
+   */
+  getAllPersonas() {
+    return Array.from(this.personas.entries()).map(([name, persona]) => ({ name, ...persona }));
+  }
+
+  /**
+   * Bind a persona to a channel (null unbinds)
+   */
+  async bindChannel(channelKey, name) {
+    if (name) {
+      this.channels.set(channelKey, name);
+    } else {
+      this.channels.delete(channelKey);
+    }
+    await this.save();
+    logger.info(`Persona for ${channelKey} set to: ${name || 'none'}`);
+  }
+
+  /**
+   * Get the name of the persona bound to a channel
+   */
+  getChannelPersona(channelKey) {
+    return this.channels.get(channelKey) || null;
+  }
+
+  /**
+   * Get the system prompt for a channel, if a persona is bound
+   */
+  getSystemPrompt(channelKey) {
+    const name = this.getChannelPersona(channelKey);
+    return name ? this.personas.get(name)?.prompt || null : null;
+  }
+}
+
+export const personaStore = new PersonaStore();
+export default personaStore;
@@ -0,0 +1,154 @@
+import logger from './logger.js';
+import config from '../config/index.js';
+import messageBus from './messageBus.js';
+import messageRouter from './router.js';
+import budgetManager from './budgetManager.js';
+import { getUserKey, getChannelKey } from './contextKeys.js';
+import { BudgetExceededError, PipelineStepError, RequestCancelledError } from './errors.js';
+
+/**
+ * Fill {{placeholders}} in a template; unknown placeholders are left as they are
+ */
+export function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (Object.hasOwn(values, key) ? values[key] : match));
+}
+
+/**
+ * PipelineRunner - Runs multi-step agent pipelines defined in config.pipelines
+ * Each step's prompt template receives {{input}} (the original input) and {{previous}} (the last step's output)
+ */
+class PipelineRunner {
+  constructor() {
+    this.pipelines = this.loadPipelines(config.pipelines);
+  }
+
+  /**
+   * Check the configured pipelines, skipping malformed entries with a warning
+   * Each pipeline needs a non-empty steps array whose steps name an agent
+   */
+  loadPipelines(pipelines) {
+    const valid = new Map();
+
+    for (const [name, pipeline] of Object.entries(pipelines || {})) {
+      const steps = pipeline?.steps;
+      if (!Array.isArray(steps) || steps.length === 0) {
+        logger.warn(`Pipeline ${name} skipped: it needs a non-empty steps array`);
+        continue;
+      }
+
+      const badStep = steps.findIndex(step => typeof step?.agent !== 'string' || (step.prompt !== undefined && typeof step.prompt !== 'string'));
+      if (badStep !== -1) {
+        logger.warn(`Pipeline ${name} skipped: step ${badStep + 1} needs an agent name (and a string prompt, if any)`);
+        continue;
+      }
+
+      valid.set(name, pipeline);
+    }
+
+    return valid;
+  }
+
+  /**
+   * Get all configured pipelines as [{ name, description, steps, showSteps }]
+   */
+  getPipelines() {
+    return Array.from(this.pipelines.entries()).map(([name, pipeline]) => ({ name, ...pipeline }));
+  }
+
+  /**
+   * Get a pipeline by name
+   */
+  getPipeline(name) {
+    const pipeline = this.pipelines.get(name);
+    return pipeline ? { name, ...pipeline } : null;
+  }
+
+  /**
+   * Build the prompt for a step
+   * The previous output (the input, for the first step) is appended when the template doesn't place it
+   */
+  buildPrompt(step, input, previous, isFirst) {
+    const template = step.prompt || '{{previous}}';
+    const prompt = renderTemplate(template, { input, previous });
+    const placed = /\{\{\s*previous\s*\}\}/.test(template) || (isFirst && /\{\{\s*input\s*\}\}/.test(template));
+    return placed ? prompt : `${prompt}\n\n${previous}`;
+  }
+
+  /**
+   * Run a pipeline
+   * onStep({ step, agent, output, latency }) is called after each step completes
+   * Returns { output, steps } or throws a PipelineStepError naming the failed step
+   */
+  async run(name, input, context = {}, onStep = async () => {}) {
+    const pipeline = this.getPipeline(name);
+    if (!pipeline) {
+      throw new Error(`Pipeline ${name} not found`);
+    }
+
+    const steps = [];
+    let previous = input;
+
+    logger.info(`Running pipeline ${name} (${pipeline.steps.length} steps)`);
+
+    for (const [index, step] of pipeline.steps.entries()) {
+      const stepNumber = index + 1;
+      const startedAt = Date.now();
+      let result;
+
+      try {
+        // Stop between steps once the pipeline is cancelled
+        if (context.signal?.aborted) {
+          throw new RequestCancelledError(step.agent);
+        }
+
+        const agent = messageRouter.agentAdapters.get(step.agent);
+        if (!agent) {
+          throw new Error(`Agent ${step.agent} not found`);
+        }
+
+        const { exceeded } = budgetManager.check({ user: getUserKey(context), channel: getChannelKey(context), agent: step.agent });
+        if (exceeded.length > 0) {
+          throw new BudgetExceededError(`${budgetManager.describe(exceeded[0])} is used up.`, exceeded);
+        }
+
+        const prompt = this.buildPrompt(step, input, previous, index === 0);
+        const response = await messageRouter.queueAgentCall(step.agent, context, () => agent.sendMessage(prompt, { ...context, model: step.model, tools: false }));
+        await messageRouter.recordUsage(step.agent, response, context);
+
+        result = { step: stepNumber, agent: step.agent, output: response.text, latency: Date.now() - startedAt };
+      } catch (error) {
+        logger.error(`Pipeline ${name} failed at step ${stepNumber} (${step.agent}):`, error.message);
+
+        messageBus.publishEvent('pipeline:failed', `${name} failed at step ${stepNumber}: ${error.message}`, {
+          platform: context.platform,
+          user: context.user || context.userId,
+          pipeline: name,
+          step: stepNumber,
+          agent: step.agent,
+        });
+
+        throw new PipelineStepError(name, stepNumber, step.agent, error);
+      }
+
+      steps.push(result);
+      previous = result.output;
+
+      // Publish the intermediate result so other components can follow the pipeline
+      messageBus.publishEvent('pipeline:step', result.output, {
+        platform: context.platform,
+        user: context.user || context.userId,
+        pipeline: name,
+        step: stepNumber,
+        agent: step.agent,
+      });
+
+      await onStep(result);
+    }
+
+    logger.info(`Pipeline ${name} completed`);
+    return { output: previous, steps };
+  }
+}
+
+export const pipelineRunner = new PipelineRunner();
+export default pipelineRunner;
@@ -0,0 +1,185 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import logger from './logger.js';
+import config from '../config/index.js';
+import messageRouter from './router.js';
+
+// Methods each kind of adapter must implement
+export const REQUIRED_METHODS = {
+  agent: ['sendMessage', 'isConfigured'],
+  platform: ['initialize', 'sendMessage', 'isConfigured', 'broadcastMessage'],
+};
+
+/**
+ * PluginLoader - Loads agent and platform adapters from a plugin directory or npm packages
+ * A plugin module default-exports { name, type: 'agent' | 'platform', create(options) } (or an array of them)
+ */
+class PluginLoader {
+  constructor() {
+    this.plugins = [];
+  }
+
+  /**
+   * Discover, instantiate and validate all configured plugins
+   */
+  async load() {
+    const sources = [
+      ...(await this.findPluginFiles(config.plugins.dir)),
+      ...config.plugins.packages,
+    ];
+
+    for (const source of sources) {
+      try {
+        const module = await import(source);
+        const definitions = [].concat(module.default || []);
+
+        if (definitions.length === 0) {
+          logger.warn(`Plugin ${source} has no default export, skipping`);
+          continue;
+        }
+
+        for (const definition of definitions) {
+          await this.add(definition, source);
+        }
+      } catch (error) {
+        logger.error(`Error loading plugin ${source}:`, error.message);
+      }
+    }
+
+    logger.info(`Plugin loader found ${this.plugins.length} adapter plugins`);
+    return this.plugins;
+  }
+
+  /**
+   * List the JavaScript files in the plugin directory as import URLs
+   */
+  async findPluginFiles(dir) {
+    if (!dir) {
+      return [];
+    }
+
+    try {
+      const entries = await fs.readdir(dir);
+      return entries
+        .filter(file => /\.(js|mjs)$/.test(file))
+        .sort()
+        .map(file => pathToFileURL(path.resolve(dir, file)).href);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.warn(`Plugin directory ${dir} not found`);
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Instantiate a plugin definition and keep it if the adapter passes validation
+   * create() may be async; a failing definition is logged without affecting the others
+   */
+  async add(definition, source) {
+    const { name, type, create } = definition || {};
+
+    if (!name || !REQUIRED_METHODS[type] || typeof create !== 'function') {
+      logger.error(`Invalid plugin in ${source}: expected { name, type: 'agent' | 'platform', create(options) }`);
+      return;
+    }
+
+    let adapter;
+    try {
+      adapter = await create(config.plugins.options[name] || {});
+    } catch (error) {
+      logger.error(`Error creating plugin ${name} from ${source}:`, error.message);
+      return;
+    }
+
+    const missing = this.validate(type, adapter);
+    if (missing.length > 0) {
+      logger.error(`Plugin ${name} (${type}) is missing required methods: ${missing.join(', ')}`);
+      return;
+    }
+
+    this.plugins.push({ name, type, adapter, source });
+    logger.debug(`Plugin loaded: ${name} (${type}) from ${source}`);
+  }
+
+  /**
+   * Check an adapter against the interface for its type
+   * Returns the names of missing methods
+   */
+  validate(type, adapter) {
+    return REQUIRED_METHODS[type].filter(method => typeof adapter?.[method] !== 'function');
+  }
+
+  /**
+   * Get loaded plugins of a type
+   */
+  getPlugins(type) {
+    return this.plugins.filter(plugin => plugin.type === type);
+  }
+
+  /**
+   * Register configured agent plugins with messageRouter
+   * Names are lowercased, as agent names are matched case-insensitively
+   * Returns { name: adapter } for the registered agents
+   */
+  registerAgents() {
+    const registered = {};
+
+    for (const plugin of this.getPlugins('agent')) {
+      const name = plugin.name.toLowerCase();
+      const { adapter } = plugin;
+
+      if (messageRouter.agentAdapters.has(name)) {
+        logger.warn(`Agent plugin ${name} skipped: an agent with that name already exists`);
+        continue;
+      }
+
+      if (adapter.isConfigured()) {
+        messageRouter.registerAgent(name, adapter);
+        registered[name] = adapter;
+      } else {
+        logger.warn(`Agent plugin ${name} is not configured, skipping`);
+      }
+    }
+
+    return registered;
+  }
+
+  /**
+   * Initialize configured platform plugins and register them with messageRouter
+   * app is the Express app, so platforms can mount webhook routes like the built-in adapters
+   * Returns { name: adapter } for the registered platforms
+   */
+  async registerPlatforms(app) {
+    const registered = {};
+
+    for (const { name, adapter } of this.getPlugins('platform')) {
+      if (messageRouter.platformAdapters.has(name)) {
+        logger.warn(`Platform plugin ${name} skipped: a platform with that name already exists`);
+        continue;
+      }
+
+      if (!adapter.isConfigured()) {
+        logger.warn(`Platform plugin ${name} is not configured, skipping`);
+        continue;
+      }
+
+      try {
+        if (await adapter.initialize(app) === false) {
+          continue;
+        }
+        messageRouter.registerPlatform(name, adapter);
+        registered[name] = adapter;
+      } catch (error) {
+        logger.error(`Error initializing platform plugin ${name}:`, error.message);
+      }
+    }
+
+    return registered;
+  }
+}
+
+export const pluginLoader = new PluginLoader();
+export default pluginLoader;
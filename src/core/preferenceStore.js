@@ -0,0 +1,106 @@
+import fs from 'fs/promises';
+import path from 'path';
+import logger from './logger.js';
+
+/**
+ * PreferenceStore - Persists per-user/per-channel agent and model preferences
+ * Preferences are keyed by channel and user (see getPreferenceKey)
+ */
+class PreferenceStore {
+  constructor(storePath = './data/preferences.json') {
+    this.storePath = storePath;
+    this.preferences = new Map();
+  }
+
+  /**
+   * Initialize the store (load from file)
+   */
+  async initialize() {
+    try {
+      await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+      await this.load();
+      logger.info(`Preference store initialized with ${this.preferences.size} entries`);
+    } catch (error) {
+      logger.error('Error initializing preference store:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load preferences from JSON file
+   */
+  async load() {
+    try {
+      const data = await fs.readFile(this.storePath, 'utf-8');
+      this.preferences = new Map(Object.entries(JSON.parse(data)));
+      logger.debug(`Loaded ${this.preferences.size} preference entries`);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.info('Preference store file not found, starting with empty store');
+        await this.save();
+      } else {
+        logger.error('Error loading preference store:', error);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Save preferences to JSON file
+   */
+  async save() {
+    try {
+      await fs.writeFile(this.storePath, JSON.stringify(Object.fromEntries(this.preferences), null, 2));
+      logger.debug('Preference store saved');
+    } catch (error) {
+      logger.error('Error saving preference store:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get preferences for a key
+   * Returns { agent, models: { [agentName]: modelId } }
+   */
+  get(key) {
+    return this.preferences.get(key) || { agent: null, models: {} };
+  }
+
+  /**
+   * Set the preferred agent (null clears it)
+   */
+  async setAgent(key, agentName) {
+    const prefs = { ...this.get(key), agent: agentName };
+    this.preferences.set(key, prefs);
+    await this.save();
+    logger.info(`Preferred agent for ${key} set to: ${agentName || 'default'}`);
+  }
+
+  /**
+   * Set the preferred model for an agent (null clears it)
+   */
+  async setModel(key, agentName, modelId) {
+    const prefs = this.get(key);
+    const models = { ...prefs.models };
+
+    if (modelId) {
+      models[agentName] = modelId;
+    } else {
+      delete models[agentName];
+    }
+
+    this.preferences.set(key, { ...prefs, models });
+    await this.save();
+    logger.info(`Preferred ${agentName} model for ${key} set to: ${modelId || 'default'}`);
+  }
+
+  /**
+   * Get the preferred model for an agent, if any
+   */
+  getModel(key, agentName) {
+    return this.get(key).models?.[agentName] || null;
+  }
+}
+
+export const preferenceStore = new PreferenceStore();
+export default preferenceStore;
@@ -0,0 +1,153 @@
+import fs from 'fs/promises';
+import path from 'path';
+import logger from './logger.js';
+import { renderTemplate } from './pipelineRunner.js';
+
+// A leading key=value argument; values with spaces can be quoted
+const VALUE_PATTERN = /^(\w+)=(?:"([^"]*)"|'([^']*)'|(\S*))(?:\s+|$)/;
+
+/**
+ * PromptStore - Saved prompt templates with {{placeholder}} substitution
+ * Templates can be pinned to an AI agent and are stored in a JSON file for persistence
+ */
+class PromptStore {
+  constructor(storePath = './data/prompts.json') {
+    this.storePath = storePath;
+    this.templates = new Map();
+  }
+
+  /**
+   * Initialize the store (load from file)
+   */
+  async initialize() {
+    try {
+      await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+      await this.load();
+      logger.info(`Prompt store initialized with ${this.templates.size} templates`);
+    } catch (error) {
+      logger.error('Error initializing prompt store:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load templates from JSON file
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.storePath, 'utf-8'));
+      this.templates = new Map(Object.entries(data.templates || {}));
+      logger.debug(`Loaded ${this.templates.size} prompt templates`);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.info('Prompt store file not found, starting with empty store');
+        await this.save();
+      } else {
+        logger.error('Error loading prompt store:', error);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Save templates to JSON file
+   */
+  async save() {
+    try {
+      const data = { templates: Object.fromEntries(this.templates) };
+      await fs.writeFile(this.storePath, JSON.stringify(data, null, 2));
+      logger.debug('Prompt store saved');
+    } catch (error) {
+      logger.error('Error saving prompt store:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update a template (agent pins it to an AI agent, null uses the caller's agent)
+   */
+  async saveTemplate(name, text, agent = null, createdBy = null) {
+    const existing = this.templates.get(name);
+    this.templates.set(name, {
+      text,
+      agent,
+      createdBy: existing?.createdBy || createdBy,
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    });
+    await this.save();
+    logger.info(`Prompt template saved: ${name}`);
+  }
+
+  /**
+   * Delete a template
+   */
+  async deleteTemplate(name) {
+    if (!this.templates.delete(name)) {
+      return false;
+    }
+
+    await this.save();
+    logger.info(`Prompt template deleted: ${name}`);
+    return true;
+  }
+
+  /**
+   * Get a template by name
+   */
+  getTemplate(name) {
+    return this.templates.get(name);
+  }
+
+  /**
+   * Get all templates as [{ name, text, agent, ... }]
+   */
+  getAllTemplates() {
+    return Array.from(this.templates.entries()).map(([name, template]) => ({ name, ...template }));
+  }
+
+  /**
+   * Get the distinct placeholder names used in a template's text
+   */
+  getPlaceholders(text) {
+    return [...new Set(Array.from(text.matchAll(/\{\{\s*(\w+)\s*\}\}/g), match => match[1]))];
+  }
+
+  /**
+   * Parse run arguments: leading key=value pairs, with any remaining text as the value of {{input}}
+   * e.g. 'version=2.1 title="Spring release" <commits>' → { version, title, input }
+   */
+  parseValues(text) {
+    const values = {};
+    let rest = text.trim();
+
+    let match;
+    while ((match = rest.match(VALUE_PATTERN))) {
+      values[match[1]] = match[2] ?? match[3] ?? match[4];
+      rest = rest.slice(match[0].length);
+    }
+
+    if (rest) {
+      values.input = rest;
+    }
+
+    return values;
+  }
+
+  /**
+   * Fill in a template's placeholders
+   * Returns { prompt, agent, missing } where missing lists placeholders without a value
+   */
+  render(name, values) {
+    const template = this.templates.get(name);
+    if (!template) {
+      return null;
+    }
+
+    const missing = this.getPlaceholders(template.text).filter(key => !Object.hasOwn(values, key));
+    return { prompt: renderTemplate(template.text, values), agent: template.agent, missing };
+  }
+}
+
+export const promptStore = new PromptStore();
+export default promptStore;
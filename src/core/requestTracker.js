@@ -0,0 +1,92 @@
+import logger from './logger.js';
+import messageBus from './messageBus.js';
+import { getPreferenceKey, getUserKey } from './contextKeys.js';
+
+/**
+ * RequestTracker - Keeps an AbortController for every in-flight agent request
+ * Requests are grouped per user and channel so /cancel only stops the caller's own requests
+ * (a channel rather than a conversation, so a top-level /cancel in Slack reaches requests in its threads)
+ */
+class RequestTracker {
+  constructor() {
+    this.requests = new Map();
+  }
+
+  /**
+   * Get the key requests are grouped by (channel + user)
+   */
+  getKey(context) {
+    return getPreferenceKey(context);
+  }
+
+  /**
+   * Start tracking a request
+   * Returns the entry; pass entry.controller.signal to the agent call
+   */
+  start(context, agentName, message) {
+    const key = this.getKey(context);
+    const entry = {
+      controller: new AbortController(),
+      agent: agentName,
+      message,
+      startedAt: Date.now(),
+    };
+
+    if (!this.requests.has(key)) {
+      this.requests.set(key, new Set());
+    }
+    this.requests.get(key).add(entry);
+
+    return entry;
+  }
+
+  /**
+   * Stop tracking a finished (or failed) request
+   */
+  finish(context, entry) {
+    const key = this.getKey(context);
+    const entries = this.requests.get(key);
+    if (!entries) {
+      return;
+    }
+
+    entries.delete(entry);
+    if (entries.size === 0) {
+      this.requests.delete(key);
+    }
+  }
+
+  /**
+   * Get the in-flight requests for a user in a channel
+   */
+  getRequests(context) {
+    return Array.from(this.requests.get(this.getKey(context)) || []);
+  }
+
+  /**
+   * Abort all of a user's in-flight requests in a channel
+   * Each cancellation is published as a request:cancelled event
+   * Returns the cancelled entries
+   */
+  cancel(context) {
+    const entries = this.getRequests(context);
+
+    for (const entry of entries) {
+      entry.controller.abort();
+      this.finish(context, entry);
+
+      const seconds = ((Date.now() - entry.startedAt) / 1000).toFixed(1);
+      logger.info(`Cancelled ${entry.agent} request after ${seconds}s for ${getUserKey(context)}`);
+      messageBus.publishEvent('request:cancelled', `${entry.agent} request cancelled after ${seconds}s: ${entry.message}`, {
+        platform: context.platform,
+        user: context.user || context.userId,
+        agent: entry.agent,
+      });
+    }
+
+    return entries;
+  }
+}
+
+export const requestTracker = new RequestTracker();
+export default requestTracker;
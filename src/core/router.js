@@ -1,6 +1,21 @@
 import logger from './logger.js';
+import config from '../config/index.js';
 import messageBus from './messageBus.js';
 import commandHandler from './commandHandler.js';
+import agentRegistry from './agentRegistry.js';
+import agentCommunicator from './agentCommunicator.js';
+import conversationStore from './conversationStore.js';
+import preferenceStore from './preferenceStore.js';
+import personaStore from './personaStore.js';
+import usageTracker from './usageTracker.js';
+import budgetManager from './budgetManager.js';
+import { getConversationKey, getPreferenceKey, getChannelKey, getUserKey } from './contextKeys.js';
+import StreamingReply from './streamingReply.js';
+import agentQueue from './agentQueue.js';
+import requestTracker from './requestTracker.js';
+import conversationSummarizer from './conversationSummarizer.js';
+import { RequestCancelledError } from './errors.js';
+import { withDocuments, describeAttachments } from './attachments.js';
 
 /**
  * MessageRouter handles routing messages between platforms and AI agents
@@ -47,52 +62,141 @@ class MessageRouter {
       logger.debug(`Routing message from ${platformName}:`, message);
 
       // Publish to message bus (will run through middleware)
-      await messageBus.publish('message:incoming', message, {
-        ...context,
-        platform: platformName,
-      });
+      // The context is shared so middleware annotations (e.g. isCommand) are visible below
+      // Attachment payloads (base64 images, document text) are kept out of it, since the bus buffers it
+      context.platform = platformName;
+      const { images, documents } = context;
+      delete context.images;
+      delete context.documents;
+      await messageBus.publish('message:incoming', message, context);
 
       // Check if this is a command
       if (context.isCommand && commandHandler.hasCommand(context.command)) {
-        const response = await commandHandler.execute(context.command, context.args, context);
+        const response = await commandHandler.execute(context.command, context.args, { ...context, images, documents });
         
-        // Send command response back to platform
-        const platform = this.platformAdapters.get(platformName);
-        if (platform && platform.sendMessage) {
-          await platform.sendMessage(response, context);
+        // Send command response back to platform (commands that already replied, like /prompt run, return null)
+        if (response) {
+          await this.sendToPlatform(platformName, response, context);
         }
 
         return response;
       }
 
-      // Get the agent to use (default or specified in context)
-      const agentName = context.agent || this.defaultAgent;
+      // Inline addressing: "@openrouter explain this" or "claude: summarise"
+      const addressed = this.parseAgentPrefix(message);
+      if (addressed) {
+        logger.info(`Message addressed to ${addressed.type} agent ${addressed.agentName}`);
+
+        if (addressed.type === 'cli') {
+          return await this.forwardToCliAgent(platformName, addressed.agentName, addressed.message, context);
+        }
+
+        message = addressed.message;
+        context.agent = addressed.agentName;
+      }
+
+      // Get the agent to use (context, user preference or default)
+      const agentName = this.resolveAgentName(context);
       
       if (!agentName) {
         throw new Error('No agent specified and no default agent set');
       }
 
-      const agent = this.agentAdapters.get(agentName);
-      if (!agent) {
+      if (!this.agentAdapters.has(agentName)) {
         throw new Error(`Agent ${agentName} not found`);
       }
 
-      // Send message to AI agent
-      logger.info(`Sending message to ${agentName} agent`);
-      const response = await agent.sendMessage(message, context);
+      // Load conversation history for this thread/chat
+      const conversationKey = getConversationKey(context);
+      const history = conversationStore.getHistory(conversationKey);
+
+      // Apply the channel's persona, if one is bound, plus the summary of older turns (unless memory is disabled)
+      const summary = conversationStore.maxTurns > 0 && conversationStore.getSummary(conversationKey);
+      const systemPrompt = [
+        personaStore.getSystemPrompt(getChannelKey(context)),
+        summary && `Summary of the earlier conversation:\n${summary.text}`,
+      ].filter(Boolean).join('\n\n') || null;
+
+      // Stream the reply into a placeholder message when the platform supports it
+      const stream = await this.startStream(platformName, agentName, context);
+
+      // Include the text of attached documents in the prompt
+      const prompt = withDocuments(message, documents);
+
+      // Track the request so /cancel can abort it
+      const request = requestTracker.start(context, agentName, message.substring(0, 100));
+      const { signal } = request.controller;
+
+      // Send message to AI agent, walking the fallback chain on failure
+      let result;
+      try {
+        result = await this.sendWithFallback(agentName, prompt, { ...context, images, history, systemPrompt, signal }, stream);
+      } catch (error) {
+        if (signal.aborted) {
+          // /cancel already answered the user; just close off the streamed message
+          logger.info(`Request to ${agentName} from ${platformName} was cancelled`);
+          if (stream) {
+            await stream.fail('cancelled');
+          }
+          return null;
+        }
+        if (stream) {
+          await stream.fail();
+        }
+        throw error;
+      } finally {
+        requestTracker.finish(context, request);
+      }
+      const { response, answeredBy, failures } = result;
 
-      // Publish response to message bus
-      await messageBus.publish('message:outgoing', response.text, {
+      // Record token usage and cost
+      await this.recordUsage(answeredBy, response, context);
+
+      // Remember the exchange for follow-up messages (attachments are not kept, only noted)
+      const attachmentNote = describeAttachments({ images, documents });
+      const userTurn = attachmentNote ? `${message}\n\n${attachmentNote}` : message;
+      await conversationStore.addExchange(conversationKey, userTurn, response.text, {
+        user: context.username || context.user,
+        agent: answeredBy,
+      });
+
+      // Publish response to message bus (as an event: the message middleware validates incoming
+      // messages only, and its length limit would reject long replies meant for the file fallback)
+      messageBus.publishEvent('message:outgoing', response.text, {
         ...context,
-        agent: agentName,
+        agent: answeredBy,
       });
 
-      // Send response back to platform
-      const platform = this.platformAdapters.get(platformName);
-      if (platform && platform.sendMessage) {
-        await platform.sendMessage(response, context);
+      // Let the user know another agent stepped in
+      if (failures.length > 0) {
+        response.text += `\n\n_Answered by ${answeredBy} (${failures.map(f => f.agent).join(', ')} unavailable)_`;
+      }
+
+      // Let the user know a document was cut short
+      for (const doc of (documents || []).filter(d => d.truncated)) {
+        response.text += `\n\n_Note: ${doc.filename} was truncated to its first ${doc.text.length.toLocaleString()} of ${doc.totalChars.toLocaleString()} characters._`;
+      }
+
+      // ...or skipped because it couldn't be read
+      for (const note of context.skippedAttachments || []) {
+        response.text += `\n\n_Note: ${note} It was left out of this answer._`;
       }
 
+      // Warn about budgets that are nearly used up (or the model downgrade)
+      if (context.budgetNotice) {
+        response.text += `\n\n_${context.budgetNotice}_`;
+      }
+
+      // Send response back to platform (or finalise the streamed message)
+      if (stream) {
+        await stream.finish(response);
+      } else {
+        await this.sendToPlatform(platformName, response, context);
+      }
+
+      // Compact the conversation in the background once it outgrows the token budget
+      conversationSummarizer.summarise(conversationKey, answeredBy, context);
+
       return response;
     } catch (error) {
       logger.error(`Error routing message from ${platformName}:`, error);
@@ -100,6 +204,242 @@ class MessageRouter {
     }
   }
 
+  /**
+   * Detect an agent name at the start of a message
+   * Supports "@agent message" and "agent: message" for AI agents and registered CLI agents
+   * Returns { agentName, type: 'ai' | 'cli', message } or null
+   */
+  parseAgentPrefix(message) {
+    const match = message.match(/^@([\w.-]+)[\s,:]+([\s\S]+)$/) || message.match(/^([\w.-]+):\s*([\s\S]+)$/);
+    if (!match) {
+      return null;
+    }
+
+    const name = match[1].toLowerCase();
+    const rest = match[2].trim();
+    if (!rest) {
+      return null;
+    }
+
+    if (this.agentAdapters.has(name)) {
+      return { agentName: name, type: 'ai', message: rest };
+    }
+
+    if (agentRegistry.hasAgent(match[1])) {
+      return { agentName: match[1], type: 'cli', message: rest };
+    }
+
+    return null;
+  }
+
+  /**
+   * Forward an addressed message to a CLI agent via its callback URL
+   */
+  async forwardToCliAgent(platformName, agentName, message, context) {
+    const agent = agentRegistry.getAgent(agentName);
+    let response;
+
+    if (!agent.active) {
+      response = { text: `**Agent inactive:** ${agentName}\n\nThis agent is currently not active.` };
+    } else {
+      await agentCommunicator.sendReply(agent.callbackUrl, message, {
+        username: context.username,
+        user: context.user,
+        secret: agent.secret,
+      });
+
+      response = { text: `📨 Sent to **${agentName}**. Its reply will arrive as a notification.`, agent: agentName };
+      logger.info(`Message forwarded to CLI agent ${agentName}`);
+    }
+
+    await this.sendToPlatform(platformName, response, context);
+    return response;
+  }
+
+  /**
+   * Send a response back to a platform
+   */
+  async sendToPlatform(platformName, response, context) {
+    const platform = this.platformAdapters.get(platformName);
+    if (platform && platform.sendMessage) {
+      await platform.sendMessage(response, context);
+    }
+  }
+
+  /**
+   * Send a message to an agent, falling back through config.agents.fallback on failure
+   * Fallback agents whose budget is used up are skipped (budgetMiddleware only checks the first agent)
+   * Streams into the given StreamingReply when the agent supports streaming
+   * Returns { response, answeredBy, failures }
+   */
+  async sendWithFallback(agentName, message, context, stream = null) {
+    const fallbacks = config.agents.fallback.filter(name => name !== agentName && this.agentAdapters.has(name));
+    const chain = [agentName, ...fallbacks.filter(name => this.isWithinBudget(name, context))];
+    const failures = [];
+
+    for (const name of chain) {
+      const agent = this.agentAdapters.get(name);
+
+      // Apply the user's preferred model for this agent, if any
+      const model = (name === agentName && context.model) || preferenceStore.getModel(getPreferenceKey(context), name);
+
+      try {
+        logger.info(`Sending message to ${name} agent (${context.history?.length || 0} history messages)`);
+
+        const response = await this.queueAgentCall(name, context, () => {
+          if (stream && agent.streamMessage) {
+            stream.reset();
+            return agent.streamMessage(message, { ...context, model }, delta => stream.append(delta));
+          }
+          return agent.sendMessage(message, { ...context, model });
+        }, stream);
+
+        return { response, answeredBy: name, failures };
+      } catch (error) {
+        // A cancelled request must not move on to the next agent
+        if (context.signal?.aborted) {
+          throw new RequestCancelledError(name);
+        }
+
+        failures.push({ agent: name, error: error.message });
+        logger.warn(`Agent ${name} failed: ${error.message}`);
+
+        const next = chain[chain.indexOf(name) + 1];
+        if (!next) {
+          throw error;
+        }
+
+        messageBus.publishEvent('agent:fallback', `${name} failed, falling back to ${next}`, {
+          platform: context.platform,
+          user: context.user || context.userId,
+          failedAgent: name,
+          fallbackAgent: next,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  /**
+   * Check that no budget for an agent is used up for this user and channel
+   */
+  isWithinBudget(agentName, context) {
+    if (!budgetManager.isEnabled()) {
+      return true;
+    }
+
+    const { exceeded } = budgetManager.check({ user: getUserKey(context), channel: getChannelKey(context), agent: agentName });
+    if (exceeded.length > 0) {
+      logger.info(`Skipping fallback agent ${agentName}: ${budgetManager.describe(exceeded[0])} is used up`);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Run an agent call through the agent's request queue
+   * Users who have to wait are told their position (in the streaming placeholder when there is one)
+   */
+  async queueAgentCall(agentName, context, task, stream = null) {
+    return agentQueue.run(agentName, task, async (position) => {
+      const notice = `⏳ ${agentName} is busy, you're #${position} in line.`;
+      if (stream) {
+        await stream.showStatus(notice);
+      } else if (context.platform) {
+        await this.sendToPlatform(context.platform, { text: notice }, context);
+      }
+    }, context.signal);
+  }
+
+  /**
+   * Record the token usage and cost of an agent response
+   */
+  async recordUsage(agentName, response, context) {
+    if (!response.usage) {
+      return;
+    }
+
+    await usageTracker.record({
+      platform: context.platform,
+      userKey: getUserKey(context),
+      userName: context.username,
+      channelKey: getChannelKey(context),
+      agent: agentName,
+      model: response.model,
+      inputTokens: response.usage.inputTokens,
+      outputTokens: response.usage.outputTokens,
+    });
+  }
+
+  /**
+   * Send the same message to several agents concurrently (used by /compare)
+   * Individual failures are captured rather than thrown
+   * Returns [{ agent, response, error, latency }] in the order of agentNames
+   */
+  async compareAgents(agentNames, message, context = {}) {
+    const systemPrompt = personaStore.getSystemPrompt(getChannelKey(context));
+
+    return Promise.all(agentNames.map(async (name) => {
+      const agent = this.agentAdapters.get(name);
+      const model = preferenceStore.getModel(getPreferenceKey(context), name);
+      const startedAt = Date.now();
+
+      try {
+        const response = await this.queueAgentCall(name, context, () => agent.sendMessage(message, { ...context, model, systemPrompt, tools: false }));
+        const latency = Date.now() - startedAt;
+
+        await this.recordUsage(name, response, context);
+
+        return { agent: name, response, error: null, latency };
+      } catch (error) {
+        logger.warn(`Compare: agent ${name} failed: ${error.message}`);
+        return { agent: name, response: null, error, latency: Date.now() - startedAt };
+      }
+    }));
+  }
+
+  /**
+   * Start a streaming reply if streaming is enabled and both sides support it
+   * Returns a started StreamingReply, or null to send the reply in one message
+   */
+  async startStream(platformName, agentName, context) {
+    const platform = this.platformAdapters.get(platformName);
+    const agent = this.agentAdapters.get(agentName);
+
+    if (!config.streaming.enabled || !agent?.streamMessage || !StreamingReply.isSupported(platform)) {
+      return null;
+    }
+
+    try {
+      const stream = new StreamingReply(platform, context, { interval: config.streaming.updateInterval });
+      return await stream.start();
+    } catch (error) {
+      logger.warn('Could not start streaming reply, sending as a single message:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Resolve which agent should handle a message
+   * Order: explicit context.agent, the user's /use preference, then the default agent
+   */
+  resolveAgentName(context = {}) {
+    if (context.agent) {
+      return context.agent;
+    }
+
+    const preferred = preferenceStore.get(getPreferenceKey(context)).agent;
+    if (preferred) {
+      if (this.agentAdapters.has(preferred)) {
+        return preferred;
+      }
+      logger.warn(`Preferred agent ${preferred} is not registered, using default agent`);
+    }
+
+    return this.defaultAgent;
+  }
+
   /**
    * Get all registered platforms
    */
@@ -0,0 +1,52 @@
+/**
+ * Server-Sent Events parsing for streaming agent APIs
+ */
+
+/**
+ * Parse an SSE byte stream into events
+ * Yields { event, data } for each event; comment lines (": ...") are skipped
+ */
+export async function* parseSSE(stream) {
+  let buffer = '';
+  let event = null;
+  let dataLines = [];
+
+  const flush = () => {
+    const parsed = dataLines.length > 0 ? { event: event || 'message', data: dataLines.join('\n') } : null;
+    event = null;
+    dataLines = [];
+    return parsed;
+  };
+
+  for await (const chunk of stream) {
+    buffer += chunk.toString('utf-8');
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+      buffer = buffer.slice(newlineIndex + 1);
+
+      if (line === '') {
+        const parsed = flush();
+        if (parsed) {
+          yield parsed;
+        }
+      } else if (line.startsWith(':')) {
+        continue;
+      } else if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).replace(/^ /, ''));
+      }
+    }
+  }
+
+  const parsed = flush();
+  if (parsed) {
+    yield parsed;
+  }
+}
+
+export default {
+  parseSSE,
+};
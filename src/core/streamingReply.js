@@ -0,0 +1,126 @@
+import logger from './logger.js';
+
+const CURSOR = ' ▍';
+
+/**
+ * StreamingReply - Progressively edits a platform message as agent output streams in
+ * Posts a placeholder, then updates it at most once per interval and finalises it when done
+ */
+class StreamingReply {
+  constructor(platform, context, options = {}) {
+    this.platform = platform;
+    this.context = context;
+    this.interval = options.interval || 1000;
+    this.handle = null;
+    this.text = '';
+    this.lastSent = '';
+    this.lastFlush = 0;
+    this.timer = null;
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Check whether a platform supports progressive message edits
+   */
+  static isSupported(platform) {
+    return !!(platform && platform.sendPlaceholder && platform.editMessage);
+  }
+
+  /**
+   * Post the placeholder message
+   */
+  async start() {
+    this.handle = await this.platform.sendPlaceholder(this.context);
+    this.lastFlush = Date.now();
+    return this;
+  }
+
+  /**
+   * Show a status line in the placeholder (e.g. the queue position) until text arrives
+   */
+  showStatus(status) {
+    if (this.text) {
+      return this.pending;
+    }
+
+    this.pending = this.pending
+      .then(() => this.platform.editMessage(this.handle, { text: status }, this.context))
+      .catch(error => logger.warn('Error updating streamed message:', error.message));
+
+    return this.pending;
+  }
+
+  /**
+   * Append streamed text and schedule a throttled update
+   */
+  append(delta) {
+    this.text += delta;
+
+    if (!this.timer) {
+      const wait = Math.max(0, this.interval - (Date.now() - this.lastFlush));
+      this.timer = setTimeout(() => this.flush(), wait);
+    }
+  }
+
+  /**
+   * Discard streamed text (e.g. when falling back to another agent)
+   */
+  reset() {
+    this.text = '';
+  }
+
+  /**
+   * Push the current text to the platform
+   */
+  flush() {
+    this.timer = null;
+    this.lastFlush = Date.now();
+
+    if (!this.text || this.text === this.lastSent) {
+      return this.pending;
+    }
+
+    const snapshot = this.text;
+    this.lastSent = snapshot;
+    this.pending = this.pending
+      .then(() => this.platform.editMessage(this.handle, { text: snapshot + CURSOR }, this.context))
+      .catch(error => logger.warn('Error updating streamed message:', error.message));
+
+    return this.pending;
+  }
+
+  /**
+   * Stop pending updates and wait for in-flight edits
+   */
+  async settle() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    await this.pending;
+  }
+
+  /**
+   * Replace the streamed message with the final response
+   */
+  async finish(response) {
+    await this.settle();
+    await this.platform.editMessage(this.handle, response, this.context, { final: true });
+  }
+
+  /**
+   * Mark the streamed message as interrupted after an error (or with another reason, e.g. cancelled)
+   */
+  async fail(reason = null) {
+    await this.settle();
+
+    try {
+      const text = this.text ? `${this.text}\n\n_(${reason || 'response interrupted'})_` : `_(${reason || 'no response'})_`;
+      await this.platform.editMessage(this.handle, { text }, this.context, { final: true });
+    } catch (error) {
+      logger.warn('Error marking streamed message as interrupted:', error.message);
+    }
+  }
+}
+
+export default StreamingReply;
@@ -0,0 +1,191 @@
+import logger from './logger.js';
+import agentRegistry from './agentRegistry.js';
+import agentCommunicator from './agentCommunicator.js';
+import messageBus from './messageBus.js';
+
+/**
+ * ToolRegistry - Botline functions that AI agents can call during a conversation
+ * Definitions follow Anthropic's tool format ({ name, description, input_schema })
+ */
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+    this.registerDefaultTools();
+  }
+
+  /**
+   * Register default tools
+   */
+  registerDefaultTools() {
+    this.register('list_cli_agents', {
+      description: 'List the CLI agents registered with Botline, with their status and description.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          activeOnly: { type: 'boolean', description: 'Only return active agents' },
+        },
+      },
+      handler: this.listCliAgents.bind(this),
+    });
+
+    this.register('send_to_cli_agent', {
+      description: 'Send a message to a registered CLI agent. The agent replies later via a notification.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          agent: { type: 'string', description: 'Name of the CLI agent' },
+          message: { type: 'string', description: 'Message to send' },
+        },
+        required: ['agent', 'message'],
+      },
+      handler: this.sendToCliAgent.bind(this),
+    });
+
+    this.register('read_message_buffer', {
+      description: 'Read the most recent messages and events that passed through Botline.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          count: { type: 'integer', description: 'Number of messages to return (default 10, max 50)' },
+        },
+      },
+      handler: this.readMessageBuffer.bind(this),
+    });
+
+    this.register('start_job', {
+      description: 'Start a task on a registered CLI agent, like the /start command.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          agent: { type: 'string', description: 'Name of the CLI agent' },
+          task: { type: 'string', description: 'Task description' },
+        },
+        required: ['agent', 'task'],
+      },
+      handler: this.startJob.bind(this),
+    });
+  }
+
+  /**
+   * Register a tool
+   * tool = { description, inputSchema, handler: async (input, context) => result }
+   */
+  register(name, tool) {
+    this.tools.set(name, tool);
+    logger.debug(`Tool registered: ${name}`);
+  }
+
+  /**
+   * Get tool definitions for the Anthropic Messages API
+   */
+  getDefinitions() {
+    return Array.from(this.tools.entries()).map(([name, tool]) => ({
+      name,
+      description: tool.description,
+      input_schema: tool.inputSchema,
+    }));
+  }
+
+  /**
+   * Execute a tool call and log it
+   * Returns { content, isError } where content is a string for the tool_result block
+   */
+  async execute(name, input = {}, context = {}) {
+    const tool = this.tools.get(name);
+    const caller = context.username || context.user || context.userId || 'unknown';
+
+    logger.info(`Tool call: ${name} (requested by ${caller})`, { input });
+    messageBus.publishEvent('tool:call', `${name} ${JSON.stringify(input)}`, {
+      platform: context.platform,
+      user: context.user || context.userId,
+      tool: name,
+    });
+
+    if (!tool) {
+      logger.warn(`Unknown tool requested: ${name}`);
+      return { content: `Unknown tool: ${name}`, isError: true };
+    }
+
+    try {
+      const result = await tool.handler(input, context);
+      logger.debug(`Tool ${name} completed`);
+      return { content: typeof result === 'string' ? result : JSON.stringify(result), isError: false };
+    } catch (error) {
+      logger.error(`Tool ${name} failed:`, error.message);
+      return { content: `Error: ${error.message}`, isError: true };
+    }
+  }
+
+  /**
+   * list_cli_agents tool
+   */
+  async listCliAgents(input) {
+    const agents = input.activeOnly ? agentRegistry.getActiveAgents() : agentRegistry.getAllAgents();
+    return agents.map(agent => ({
+      name: agent.name,
+      active: agent.active,
+      description: agent.description || null,
+    }));
+  }
+
+  /**
+   * send_to_cli_agent tool
+   */
+  async sendToCliAgent(input, context) {
+    const agent = this.getActiveAgent(input.agent);
+
+    await agentCommunicator.sendReply(agent.callbackUrl, input.message, {
+      username: context.username,
+      user: context.user,
+      secret: agent.secret,
+    });
+
+    return `Message delivered to ${input.agent}`;
+  }
+
+  /**
+   * read_message_buffer tool
+   */
+  async readMessageBuffer(input) {
+    const count = Math.min(Math.max(parseInt(input.count, 10) || 10, 1), 50);
+    return messageBus.getRecentMessages(count).map(entry => ({
+      event: entry.event,
+      message: entry.message,
+      platform: entry.context?.platform,
+      timestamp: entry.timestamp,
+    }));
+  }
+
+  /**
+   * start_job tool
+   */
+  async startJob(input, context) {
+    this.getActiveAgent(input.agent);
+
+    // Same event the /start command emits
+    messageBus.emit('agent:start', {
+      agent: input.agent,
+      task: input.task,
+      context,
+    });
+
+    return `Task started for ${input.agent}`;
+  }
+
+  /**
+   * Look up a CLI agent and make sure it is active
+   */
+  getActiveAgent(name) {
+    const agent = agentRegistry.getAgent(name);
+    if (!agent) {
+      throw new Error(`Agent ${name} not found`);
+    }
+    if (!agent.active) {
+      throw new Error(`Agent ${name} is not active`);
+    }
+    return agent;
+  }
+}
+
+export const toolRegistry = new ToolRegistry();
+export default toolRegistry;
@@ -0,0 +1,258 @@
+import fs from 'fs/promises';
+import path from 'path';
+import logger from './logger.js';
+import config from '../config/index.js';
+
+/**
+ * Create an empty usage counter
+ */
+function emptyStats() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+}
+
+/**
+ * Add one counter into another
+ */
+function addStats(target, source) {
+  target.requests += source.requests;
+  target.inputTokens += source.inputTokens;
+  target.outputTokens += source.outputTokens;
+  target.cost += source.cost;
+  return target;
+}
+
+/**
+ * Get the YYYY-MM-DD key for a date (UTC)
+ */
+export function getDayKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * UsageTracker - Records token usage and cost per platform, user, channel, agent and model
+ * Keeps daily aggregates in a JSON file for persistence
+ */
+class UsageTracker {
+  constructor(storePath = './data/usage.json') {
+    this.storePath = storePath;
+    this.days = {};
+    this.saveQueue = Promise.resolve();
+  }
+
+  /**
+   * Initialize the tracker (load from file)
+   */
+  async initialize() {
+    try {
+      await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+      await this.load();
+      logger.info(`Usage tracker initialized with ${Object.keys(this.days).length} days of data`);
+    } catch (error) {
+      logger.error('Error initializing usage tracker:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load usage aggregates from JSON file
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.storePath, 'utf-8'));
+      this.days = data.days || {};
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.info('Usage file not found, starting with empty usage data');
+        await this.save();
+      } else {
+        logger.error('Error loading usage data:', error);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Save usage aggregates to JSON file
+   * Writes are queued so concurrent saves never interleave
+   */
+  async save() {
+    this.saveQueue = this.saveQueue.then(async () => {
+      try {
+        await fs.writeFile(this.storePath, JSON.stringify({ days: this.days }, null, 2));
+        logger.debug('Usage data saved');
+      } catch (error) {
+        logger.error('Error saving usage data:', error);
+      }
+    });
+
+    return this.saveQueue;
+  }
+
+  /**
+   * Look up the price of a model (USD per million tokens)
+   * Uses the longest matching prefix in config.usage.prices
+   */
+  getPrice(model) {
+    if (!model) {
+      return null;
+    }
+
+    const prices = config.usage.prices;
+    if (prices[model]) {
+      return prices[model];
+    }
+
+    const prefix = Object.keys(prices)
+      .filter(key => model.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? prices[prefix] : null;
+  }
+
+  /**
+   * Calculate the cost of a request in USD
+   */
+  calculateCost(model, inputTokens, outputTokens) {
+    const price = this.getPrice(model);
+    if (!price) {
+      return 0;
+    }
+    return (inputTokens * price.input + outputTokens * price.output) / 1_000_000;
+  }
+
+  /**
+   * Record the usage of one agent request
+   * entry = { platform, userKey, userName, channelKey, agent, model, inputTokens, outputTokens }
+   */
+  async record(entry) {
+    const dayKey = getDayKey();
+    const day = this.days[dayKey] || (this.days[dayKey] = {
+      total: emptyStats(),
+      users: {},
+      channels: {},
+      agents: {},
+      models: {},
+    });
+
+    const stats = {
+      requests: 1,
+      inputTokens: entry.inputTokens || 0,
+      outputTokens: entry.outputTokens || 0,
+      cost: this.calculateCost(entry.model, entry.inputTokens || 0, entry.outputTokens || 0),
+    };
+
+    addStats(day.total, stats);
+
+    const buckets = [
+      ['users', entry.userKey],
+      ['channels', entry.channelKey],
+      ['agents', entry.agent],
+      ['models', entry.model],
+    ];
+
+    for (const [bucket, key] of buckets) {
+      if (key) {
+        day[bucket][key] = addStats(day[bucket][key] || emptyStats(), stats);
+      }
+    }
+
+    if (entry.userKey && entry.userName) {
+      day.users[entry.userKey].name = entry.userName;
+    }
+
+    if (!this.getPrice(entry.model)) {
+      logger.debug(`No price configured for model ${entry.model}, cost recorded as 0`);
+    }
+
+    this.pruneOldDays();
+    await this.save();
+
+    logger.debug(`Usage recorded: ${stats.inputTokens} in / ${stats.outputTokens} out for ${entry.agent} (${entry.model})`);
+    return stats;
+  }
+
+  /**
+   * Drop daily aggregates older than the retention period
+   */
+  pruneOldDays() {
+    const cutoff = getDayKey(new Date(Date.now() - config.usage.retentionDays * 24 * 60 * 60 * 1000));
+    for (const dayKey of Object.keys(this.days)) {
+      if (dayKey < cutoff) {
+        delete this.days[dayKey];
+      }
+    }
+  }
+
+  /**
+   * Get the day keys for the last n days (including today)
+   */
+  getRecentDayKeys(count) {
+    const keys = [];
+    for (let i = 0; i < count; i++) {
+      keys.push(getDayKey(new Date(Date.now() - i * 24 * 60 * 60 * 1000)));
+    }
+    return keys;
+  }
+
+  /**
+   * Get the day keys for the current month so far
+   */
+  getMonthDayKeys() {
+    const monthPrefix = getDayKey().slice(0, 7);
+    return Object.keys(this.days).filter(key => key.startsWith(monthPrefix));
+  }
+
+  /**
+   * Aggregate usage over a set of days
+   * Returns { total, users, channels, agents, models }
+   */
+  summarize(dayKeys) {
+    const summary = { total: emptyStats(), users: {}, channels: {}, agents: {}, models: {} };
+
+    for (const dayKey of dayKeys) {
+      const day = this.days[dayKey];
+      if (!day) {
+        continue;
+      }
+
+      addStats(summary.total, day.total);
+      for (const bucket of ['users', 'channels', 'agents', 'models']) {
+        for (const [key, stats] of Object.entries(day[bucket])) {
+          summary[bucket][key] = addStats(summary[bucket][key] || { ...emptyStats(), name: stats.name }, stats);
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Get usage for a single key in a bucket (users, channels or agents) over a set of days
+   */
+  getStats(bucket, key, dayKeys) {
+    const stats = emptyStats();
+    for (const dayKey of dayKeys) {
+      const entry = this.days[dayKey]?.[bucket]?.[key];
+      if (entry) {
+        addStats(stats, entry);
+      }
+    }
+    return stats;
+  }
+
+  /**
+   * Get a compact usage overview for the /status endpoint
+   */
+  getStatus() {
+    const today = this.summarize([getDayKey()]);
+    const week = this.summarize(this.getRecentDayKeys(7));
+
+    return {
+      today: { ...today.total, agents: today.agents },
+      week: week.total,
+    };
+  }
+}
+
+export const usageTracker = new UsageTracker();
+export default usageTracker;
@@ -7,10 +7,18 @@ import agentRegistry from './core/agentRegistry.js';
 import agentCommunicator from './core/agentCommunicator.js';
 import middleware from './core/middleware.js';
 import creditTimerKeeper from './core/scheduler.js';
+import conversationStore from './core/conversationStore.js';
+import preferenceStore from './core/preferenceStore.js';
+import personaStore from './core/personaStore.js';
+import promptStore from './core/promptStore.js';
+import usageTracker from './core/usageTracker.js';
+import pluginLoader from './core/pluginLoader.js';
+import agentQueue from './core/agentQueue.js';
 
 // Import adapters
 import ClaudeAdapter from './adapters/agents/claude.js';
 import OpenRouterAdapter from './adapters/agents/openrouter.js';
+import OpenAICompatibleAdapter from './adapters/agents/openaiCompatible.js';
 import SlackAdapter from './adapters/platforms/slack.js';
 import TelegramAdapter from './adapters/platforms/telegram.js';
 
@@ -34,11 +42,33 @@ class Botline {
       // Initialize agent registry
       await agentRegistry.initialize();
 
+      // Load persisted conversation history
+      await conversationStore.initialize();
+
+      // Load per-user agent/model preferences
+      await preferenceStore.initialize();
+
+      // Load personas (per-channel system prompts)
+      await personaStore.initialize();
+
+      // Load saved prompt templates
+      await promptStore.initialize();
+
+      // Load token usage aggregates
+      await usageTracker.initialize();
+
+      // Load adapter plugins (registered with the built-in adapters below)
+      await pluginLoader.load();
+
       // Setup message bus middleware
       this.setupMiddleware();
 
-      // Setup Express middleware
-      this.app.use(express.json());
+      // Setup Express middleware (the raw body is kept for webhook signature checks)
+      this.app.use(express.json({
+        verify: (req, res, buf) => {
+          req.rawBody = buf;
+        },
+      }));
       this.app.use(express.urlencoded({ extended: true }));
 
       // Health check endpoint
@@ -71,6 +101,8 @@ class Botline {
             })),
           },
           messageBuffer: bufferStats,
+          usage: usageTracker.getStatus(),
+          queues: agentQueue.getStatus(),
           memory: {
             heapUsed: Math.floor(process.memoryUsage().heapUsed / 1024 / 1024),
             heapTotal: Math.floor(process.memoryUsage().heapTotal / 1024 / 1024),
@@ -90,6 +122,13 @@ class Botline {
       // Start server
       await this.startServer();
 
+      // Start platform adapters that need the server listening (e.g. Telegram webhooks)
+      for (const adapter of Object.values(this.platformAdapters)) {
+        if (adapter.start) {
+          await adapter.start();
+        }
+      }
+
       logger.info('Botline initialized successfully');
     } catch (error) {
       logger.error('Error initializing Botline:', error);
@@ -106,6 +145,7 @@ class Botline {
     messageBus.use(middleware.commandDetectionMiddleware);
     messageBus.use(middleware.accessControlMiddleware);
     messageBus.use(middleware.rateLimitMiddleware);
+    messageBus.use(middleware.budgetMiddleware);
     
     logger.info('Message bus middleware configured');
   }
@@ -320,6 +360,27 @@ class Botline {
       }
     }
 
+    // OpenAI-compatible endpoints (local models etc.), one agent per configured name
+    // Names are lowercased since /use and @agent prefixes match lowercased input
+    for (const [key, options] of Object.entries(config.agents.openaiCompatible)) {
+      const name = key.toLowerCase();
+      if (messageRouter.agentAdapters.has(name)) {
+        logger.warn(`OpenAI-compatible agent ${name} skipped: an agent with that name already exists`);
+        continue;
+      }
+
+      const adapter = new OpenAICompatibleAdapter(name, { displayName: key, ...options });
+      if (adapter.isConfigured()) {
+        this.agentAdapters[name] = adapter;
+        messageRouter.registerAgent(name, adapter);
+      } else {
+        logger.warn(`OpenAI-compatible agent ${name} needs a baseUrl and model`);
+      }
+    }
+
+    // Agent plugins
+    Object.assign(this.agentAdapters, pluginLoader.registerAgents());
+
     // Set default agent
     if (messageRouter.getAgents().length > 0) {
       const defaultAgent = config.agents.default;
@@ -343,8 +404,7 @@ class Botline {
     // Slack
     if (config.slack.enabled) {
       const slack = new SlackAdapter();
-      if (slack.isConfigured()) {
-        await slack.initialize();
+      if (slack.isConfigured() && await slack.initialize(this.app)) {
         this.platformAdapters.slack = slack;
         messageRouter.registerPlatform('slack', slack);
       }
@@ -353,13 +413,15 @@ class Botline {
     // Telegram
     if (config.telegram.enabled) {
       const telegram = new TelegramAdapter();
-      if (telegram.isConfigured()) {
-        await telegram.initialize();
+      if (telegram.isConfigured() && await telegram.initialize(this.app)) {
         this.platformAdapters.telegram = telegram;
         messageRouter.registerPlatform('telegram', telegram);
       }
     }
 
+    // Platform plugins
+    Object.assign(this.platformAdapters, await pluginLoader.registerPlatforms(this.app));
+
     if (messageRouter.getPlatforms().length === 0) {
       logger.warn('No platform adapters configured. Please configure at least one platform (Slack or Telegram).');
     }
@@ -386,11 +448,16 @@ class Botline {
     // Stop Credit Timer Keeper
     creditTimerKeeper.stop();
 
-    // Stop Telegram polling if active
-    if (this.platformAdapters.telegram) {
-      await this.platformAdapters.telegram.stop();
+    // Stop platform adapters that hold connections (e.g. Telegram polling)
+    for (const adapter of Object.values(this.platformAdapters)) {
+      if (adapter.stop) {
+        await adapter.stop();
+      }
     }
 
+    // Write conversation history that is waiting to be saved
+    await conversationStore.flush();
+
     // Close Express server
     if (this.server) {
       await new Promise((resolve) => {